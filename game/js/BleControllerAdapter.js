@@ -3,226 +3,239 @@
  * BLE接続、Notify購読、触覚コマンド送信を処理するクラス
  */
 
-export class BleControllerAdapter {
+import { ControllerTransport } from './ControllerTransport.js';
+
+// 前回接続したグローブ（navigator.bluetooth.getDevices() 対応ブラウザのみ使用）
+const REMEMBERED_GLOVE_STORAGE_KEY = 'aronmyouji.rememberedGlove';
+
+export class BleControllerAdapter extends ControllerTransport {
     constructor() {
+        super();
+        this.transportType = 'ble';
+
         // UUIDs（仕様書で定義された固定値）
         this.SERVICE_UUID = '12345678-1234-1234-1234-123456789abc';
         this.SENSOR_CHAR_UUID = '12345678-1234-1234-1234-123456789abd';
         this.HAPTIC_CHAR_UUID = '12345678-1234-1234-1234-123456789abe';
-        
+
+        // 標準サービス（グローブが公開している場合のみ使用）
+        this.BATTERY_SERVICE = 'battery_service';
+        this.BATTERY_LEVEL_CHAR = 'battery_level';
+        this.DEVICE_INFO_SERVICE = 'device_information';
+        this.DEVICE_INFO_CHARS = {
+            modelNumber: 'model_number_string',
+            firmwareRevision: 'firmware_revision_string',
+            manufacturerName: 'manufacturer_name_string'
+        };
+
         this.device = null;
         this.server = null;
         this.service = null;
         this.sensorCharacteristic = null;
         this.hapticCharacteristic = null;
-        
-        this.isConnected = false;
-        this.onDataCallback = null;
-        this.onDisconnectCallback = null;
-        
-        // 触覚送信レート制限（最大10コマンド/秒）
-        this.hapticQueue = [];
-        this.lastHapticSendTime = 0;
-        this.HAPTIC_MIN_INTERVAL = 100; // ms
-        this.minSensorIntervalMs = 0;
-        this.lastSensorCallbackTime = 0;
-        this.sensorTimestamps = [];
-        this.processedSensorTimestamps = [];
-        this.skippedSensorFrames = 0;
-        this.hapticSentCount = 0;
-        this.hapticSkippedCount = 0;
-        this.DEBUG_LOGS = false;
+        this.batteryCharacteristic = null;
+        this.watchedDevices = new WeakSet();
+        // 2台目（左手）のグローブは「前回のグローブ」として記憶しない
+        this.shouldRememberDevice = true;
+        this.handleSensorNotification = (event) => this.handleSensorData(event.target.value);
+        this.handleBatteryNotification = (event) => this.updateDeviceInfo({ batteryLevel: event.target.value.getUint8(0) });
     }
-    
+
     /**
      * BLE接続を開始（ユーザー操作起点）
      */
     async connect() {
         try {
+            this.cancelReconnect();
+            this.isManualDisconnect = false;
+
             // BLEデバイスを要求
-            this.device = await navigator.bluetooth.requestDevice({
-                filters: [{ services: [this.SERVICE_UUID] }]
-            });
-            
-            // 切断イベントハンドラ
-            this.device.addEventListener('gattserverdisconnected', () => {
-                this.handleDisconnect();
+            const device = await navigator.bluetooth.requestDevice({
+                filters: [{ services: [this.SERVICE_UUID] }],
+                optionalServices: [this.BATTERY_SERVICE, this.DEVICE_INFO_SERVICE]
             });
-            
-            // GATTサーバーに接続
-            this.server = await this.device.gatt.connect();
-            
-            // サービスを取得
-            this.service = await this.server.getPrimaryService(this.SERVICE_UUID);
-            
-            // センサーCharacteristicを取得
-            this.sensorCharacteristic = await this.service.getCharacteristic(this.SENSOR_CHAR_UUID);
-            
-            // 触覚CharacteristicをCharacteristicを取得
-            this.hapticCharacteristic = await this.service.getCharacteristic(this.HAPTIC_CHAR_UUID);
-            
-            // Notify購読開始
-            await this.sensorCharacteristic.startNotifications();
-            this.sensorCharacteristic.addEventListener('characteristicvaluechanged', (event) => {
-                this.handleSensorData(event.target.value);
-            });
-            
-            this.isConnected = true;
-            
-            
+            await this.connectDevice(device);
+
             return true;
         } catch (error) {
-            
+
             throw error;
         }
     }
-    
+
     /**
-     * センサーデータ受信ハンドラ
+     * 前回のグローブへ選択ダイアログなしで再接続
+     * 許可済みデバイスに無い・接続できない場合は false を返す。待ったあとではユーザー操作の猶予が
+     * 切れて requestDevice が拒否されるため、選択ダイアログは通常の接続ボタンから開かせる
+     * @returns {Promise<boolean>} 接続できたか
      */
-    handleSensorData(dataView) {
-        const now = performance.now();
-        this.recordTimestamp(this.sensorTimestamps, now);
-        if (this.minSensorIntervalMs > 0 && now - this.lastSensorCallbackTime < this.minSensorIntervalMs) {
-            this.skippedSensorFrames++;
-            return;
-        }
+    async connectRemembered() {
+        const device = await this.findRememberedDevice();
+        if (!device) return false;
 
-        this.lastSensorCallbackTime = now;
-        this.recordTimestamp(this.processedSensorTimestamps, now);
-        if (this.onDataCallback) {
-            // DataViewを配列に変換
-            this.onDataCallback(dataView);
+        try {
+            this.cancelReconnect();
+            this.isManualDisconnect = false;
+            await this.connectDevice(device);
+            return true;
+        } catch (error) {
+            this.isConnected = false;
+            return false;
         }
     }
 
-    recordTimestamp(list, now) {
-        list.push(now);
-        while (list.length > 90) list.shift();
+    getControllerId() {
+        return this.device ? `ble:${this.device.id}` : null;
+    }
+
+    static isRememberSupported() {
+        return typeof navigator !== 'undefined' && !!navigator.bluetooth &&
+            typeof navigator.bluetooth.getDevices === 'function';
     }
 
-    getTimestampHz(list) {
-        if (!list || list.length < 2) return 0;
-        const duration = list[list.length - 1] - list[0];
-        return duration > 0 ? ((list.length - 1) / duration) * 1000 : 0;
+    /**
+     * @returns {{id: string, name: string}|null}
+     */
+    static getRememberedDevice() {
+        if (!BleControllerAdapter.isRememberSupported()) return null;
+        try {
+            const saved = JSON.parse(localStorage.getItem(REMEMBERED_GLOVE_STORAGE_KEY));
+            return saved && saved.id ? saved : null;
+        } catch (e) {
+            return null;
+        }
     }
 
-    setSensorMinInterval(intervalMs = 0) {
-        this.minSensorIntervalMs = Math.max(0, intervalMs || 0);
+    static rememberDevice(device) {
+        try {
+            localStorage.setItem(REMEMBERED_GLOVE_STORAGE_KEY, JSON.stringify({ id: device.id, name: device.name || '' }));
+        } catch (e) { }
     }
 
-    setPerformanceMode(mode) {
-        const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent || '');
-        const intervals = isMobile ? {
-            normal: 1000 / 45,
-            warm: 1000 / 35,
-            hot: 1000 / 24
-        } : {
-            normal: 1000 / 60,
-            warm: 1000 / 50,
-            hot: 1000 / 45
-        };
-        if (mode === 'hot') mode = 'warm';
-        this.setSensorMinInterval(intervals[mode] || intervals.normal);
+    static forgetRememberedDevice() {
+        try { localStorage.removeItem(REMEMBERED_GLOVE_STORAGE_KEY); } catch (e) { }
     }
-    
-    /**
-     * 切断ハンドラ
-     */
-    handleDisconnect() {
-        
-        this.isConnected = false;
-        
-        if (this.onDisconnectCallback) {
-            this.onDisconnectCallback();
+
+    async findRememberedDevice() {
+        const remembered = BleControllerAdapter.getRememberedDevice();
+        if (!remembered) return null;
+
+        try {
+            const devices = await navigator.bluetooth.getDevices();
+            const device = devices.find(d => d.id === remembered.id);
+            // 許可が取り消された・ペアリングが消えたデバイスは忘れる
+            if (!device) BleControllerAdapter.forgetRememberedDevice();
+            return device || null;
+        } catch (e) {
+            return null;
         }
     }
-    
-    /**
-     * センサーデータ受信時のコールバックを設定
-     */
-    setOnDataCallback(callback) {
-        this.onDataCallback = callback;
+
+    async connectDevice(device) {
+        this.device = device;
+        this.deviceInfo = this.createEmptyDeviceInfo();
+
+        // 切断イベントハンドラ（古いデバイスからの通知は無視する）
+        if (!this.watchedDevices.has(device)) {
+            this.watchedDevices.add(device);
+            device.addEventListener('gattserverdisconnected', () => {
+                if (device === this.device) this.handleDisconnect();
+            });
+        }
+
+        await this.connectGatt();
+        if (this.shouldRememberDevice) BleControllerAdapter.rememberDevice(device);
     }
-    
+
     /**
-     * 切断時のコールバックを設定
+     * GATT接続とNotify購読（初回接続と自動再接続で共通）
      */
-    setOnDisconnectCallback(callback) {
-        this.onDisconnectCallback = callback;
+    async connectGatt() {
+        // GATTサーバーに接続
+        this.server = await this.device.gatt.connect();
+
+        // サービスを取得
+        this.service = await this.server.getPrimaryService(this.SERVICE_UUID);
+
+        // 再接続時は旧Characteristicの購読ハンドラを外しておく
+        if (this.sensorCharacteristic) {
+            this.sensorCharacteristic.removeEventListener('characteristicvaluechanged', this.handleSensorNotification);
+        }
+
+        // センサーCharacteristicを取得
+        this.sensorCharacteristic = await this.service.getCharacteristic(this.SENSOR_CHAR_UUID);
+
+        // 触覚CharacteristicをCharacteristicを取得
+        this.hapticCharacteristic = await this.service.getCharacteristic(this.HAPTIC_CHAR_UUID);
+
+        // Notify購読開始
+        await this.sensorCharacteristic.startNotifications();
+        this.sensorCharacteristic.addEventListener('characteristicvaluechanged', this.handleSensorNotification);
+
+        this.isConnected = true;
+
+        // 標準サービスは無くても接続は成功扱い（センサー受信を待たせない）
+        this.readOptionalServices();
     }
-    
+
     /**
-     * 触覚コマンドを送信（2バイト: strength, duration）
-     * @param {number} strength - 0-255
-     * @param {number} duration - 10ms単位、0-255（最大2550ms）
+     * Battery Service / Device Information Service を読む（非対応なら何もしない）
      */
-    async sendHapticCommand(strength, duration) {
-        if (!this.isConnected || !this.hapticCharacteristic) {
-            
-            return false;
-        }
-        
-        // レート制限チェック
-        const now = performance.now();
-        if (now - this.lastHapticSendTime < this.HAPTIC_MIN_INTERVAL) {
-            this.hapticSkippedCount++;
-            return false;
-        }
-        
+    async readOptionalServices() {
+        await this.readDeviceInformation();
+        await this.subscribeBatteryLevel();
+    }
+
+    async readDeviceInformation() {
+        let service;
         try {
-            // 2バイトのコマンド作成
-            const command = new Uint8Array([
-                Math.min(255, Math.max(0, strength)),
-                Math.min(255, Math.max(0, duration))
-            ]);
-            
-            await this.writeHapticValue(command, duration);
-            this.lastHapticSendTime = now;
-            this.hapticSentCount++;
-            
-            return true;
-        } catch (error) {
-            
-            return false;
+            service = await this.server.getPrimaryService(this.DEVICE_INFO_SERVICE);
+        } catch (e) {
+            return;
+        }
+
+        const decoder = new TextDecoder();
+        const info = {};
+        for (const key in this.DEVICE_INFO_CHARS) {
+            try {
+                const characteristic = await service.getCharacteristic(this.DEVICE_INFO_CHARS[key]);
+                const value = await characteristic.readValue();
+                info[key] = decoder.decode(value).replace(/\0+$/, '').trim() || null;
+            } catch (e) { }
         }
+        this.updateDeviceInfo(info);
     }
-    
-    /**
-     * 複数パルスの触覚送信（クリティカルヒット、強化開始用）
-     * @param {Array} pulses - [{strength, duration}, ...]
-     * @param {number} interval - パルス間隔（ms）
-     */
-    async sendHapticPulses(pulses, interval) {
-        if (!this.isConnected || !this.hapticCharacteristic) {
-            
-            return false;
+
+    async subscribeBatteryLevel() {
+        if (this.batteryCharacteristic) {
+            this.batteryCharacteristic.removeEventListener('characteristicvaluechanged', this.handleBatteryNotification);
+            this.batteryCharacteristic = null;
         }
 
         try {
-            // 直接 writeValue を連続で行い、sendHapticCommand のレート制限チェックを回避する
-            for (let i = 0; i < pulses.length; i++) {
-                const pulse = pulses[i];
-                await this.waitForHapticSlot();
-                const sent = await this.sendHapticCommand(pulse.strength, pulse.duration);
-                if (!sent) return false;
-
-                if (i < pulses.length - 1) {
-                    await new Promise(resolve => setTimeout(resolve, Math.max(this.HAPTIC_MIN_INTERVAL, interval || 0)));
-                }
+            const service = await this.server.getPrimaryService(this.BATTERY_SERVICE);
+            const characteristic = await service.getCharacteristic(this.BATTERY_LEVEL_CHAR);
+            const value = await characteristic.readValue();
+            this.updateDeviceInfo({ batteryLevel: value.getUint8(0) });
+
+            if (characteristic.properties && characteristic.properties.notify) {
+                await characteristic.startNotifications();
+                characteristic.addEventListener('characteristicvaluechanged', this.handleBatteryNotification);
+                this.batteryCharacteristic = characteristic;
             }
-            return true;
-        } catch (error) {
-            
-            return false;
-        }
+        } catch (e) { }
     }
 
-    async waitForHapticSlot() {
-        const waitMs = this.HAPTIC_MIN_INTERVAL - (performance.now() - this.lastHapticSendTime);
-        if (waitMs > 0) {
-            await new Promise(resolve => setTimeout(resolve, waitMs));
-        }
+    async reopen() {
+        await this.connectGatt();
+    }
+
+    canReopen() {
+        return !!this.device;
+    }
+
+    canSendHaptic() {
+        return !!this.hapticCharacteristic;
     }
 
     async writeHapticValue(command, duration) {
@@ -231,31 +244,10 @@ export class BleControllerAdapter {
         }
         return this.hapticCharacteristic.writeValue(command);
     }
-    
-    /**
-     * 切断
-     */
-    disconnect() {
+
+    closeConnection() {
         if (this.device && this.device.gatt.connected) {
             this.device.gatt.disconnect();
         }
-        this.isConnected = false;
-    }
-    
-    /**
-     * 接続状態を取得
-     */
-    getConnectionState() {
-        return this.isConnected;
-    }
-
-    getStats() {
-        return {
-            rawReceiveHz: this.getTimestampHz(this.sensorTimestamps),
-            callbackHz: this.getTimestampHz(this.processedSensorTimestamps),
-            skippedSensorFrames: this.skippedSensorFrames,
-            hapticSentCount: this.hapticSentCount,
-            hapticSkippedCount: this.hapticSkippedCount
-        };
     }
 }
@@ -0,0 +1,118 @@
+/**
+ * CalibrationStore.js
+ * グローブごとのキャリブレーション結果を localStorage に保存し、次回のセッションで使えるようにするクラス
+ *
+ * 記録（コントローラID ごと）:
+ *   { version, savedAt, hand, yaw, pitch, gain, frontYaw, gloveYaw, idlePose: { pitch, roll, heading } }
+ *   yaw       MotionInterpreter.pyr0.yaw（確定した基準ヨー角 = gloveYaw - frontYaw）
+ *   pitch/gain 多点キャリブレーションの基準ピッチ角と倍率（1点のときは pitch 無し・gain 1）
+ *   frontYaw  キャリブレーション時の端末の正面方向（Renderer.getCalibrationFrontYaw）
+ *   gloveYaw  そのときのグローブの生ヨー角
+ *   idlePose  構えた姿勢。heading は端末の正面から見たグローブの向き
+ */
+
+const CALIBRATION_STORAGE_KEY = 'aronmyouji.calibrations';
+export const CALIBRATION_RECORD_VERSION = 1;
+
+export class CalibrationStore {
+    constructor() {
+        // 構えがこれ以上ずれていたら保存済みの校正は古いとみなす
+        this.STALE_POSE_DEG = 30;
+        this.MAX_RECORDS = 8;
+    }
+
+    /**
+     * @param {string} controllerId
+     * @returns {Object|null}
+     */
+    load(controllerId) {
+        if (!controllerId) return null;
+        const record = this.readAll()[controllerId];
+        return record && record.version === CALIBRATION_RECORD_VERSION ? record : null;
+    }
+
+    /**
+     * @param {string} controllerId
+     * @param {Object} calibration - { hand, yaw, pitch, gain, frontYaw, gloveYaw, idlePose: { pitch, yaw, roll } | null }
+     */
+    save(controllerId, { hand, yaw, pitch, gain, frontYaw, gloveYaw, idlePose }) {
+        if (!controllerId || typeof yaw !== 'number') return;
+
+        const records = this.readAll();
+        records[controllerId] = {
+            version: CALIBRATION_RECORD_VERSION,
+            savedAt: Date.now(),
+            hand,
+            yaw,
+            pitch,
+            gain,
+            frontYaw,
+            gloveYaw,
+            idlePose: idlePose ? {
+                pitch: idlePose.pitch,
+                roll: idlePose.roll,
+                heading: this.getHeading(idlePose.yaw, yaw, frontYaw)
+            } : null
+        };
+
+        // 古い順に捨てる
+        const ids = Object.keys(records).sort((a, b) => records[b].savedAt - records[a].savedAt);
+        ids.slice(this.MAX_RECORDS).forEach(id => delete records[id]);
+        this.writeAll(records);
+    }
+
+    forget(controllerId) {
+        const records = this.readAll();
+        delete records[controllerId];
+        this.writeAll(records);
+    }
+
+    /**
+     * 保存時の構えと現在の構えの差（度）
+     * @param {Object} record
+     * @param {{pitch: number, yaw: number, roll: number}} pose - 現在の生の姿勢
+     * @param {number} frontYaw - 現在の端末の正面方向
+     * @returns {{pitch: number, roll: number, heading: number, max: number}|null} 比較できなければ null
+     */
+    getPoseDeviation(record, pose, frontYaw) {
+        if (!record || !record.idlePose || !pose) return null;
+
+        const pitch = Math.abs(this.unwrapAngle(pose.pitch - record.idlePose.pitch));
+        const roll = Math.abs(this.unwrapAngle(pose.roll - record.idlePose.roll));
+        const heading = Math.abs(this.unwrapAngle(this.getHeading(pose.yaw, record.yaw, frontYaw) - record.idlePose.heading));
+        return { pitch, roll, heading, max: Math.max(pitch, roll, heading) };
+    }
+
+    isStale(record, pose, frontYaw) {
+        const deviation = this.getPoseDeviation(record, pose, frontYaw);
+        return !!deviation && deviation.max > this.STALE_POSE_DEG;
+    }
+
+    /**
+     * 基準ヨー角で補正したグローブの向きを、端末の正面からの角度にする
+     */
+    getHeading(gloveYaw, calibrationYaw, frontYaw) {
+        return this.unwrapAngle(gloveYaw - calibrationYaw - frontYaw);
+    }
+
+    readAll() {
+        try {
+            const records = JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY));
+            return records && typeof records === 'object' ? records : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    writeAll(records) {
+        try {
+            localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(records));
+        } catch (e) { }
+    }
+
+    unwrapAngle(angle) {
+        while (angle > 180) angle -= 360;
+        while (angle < -180) angle += 360;
+        return angle;
+    }
+}
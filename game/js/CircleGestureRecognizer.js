@@ -3,6 +3,13 @@
  * Detects circle gestures from raw pitch/yaw history.
  */
 
+// 個人の調整プロファイル（GestureTuningSession）で上書きできる閾値
+export const TUNABLE_CIRCLE_THRESHOLDS = [
+    'A_START', 'A_END', 'DA_START',
+    'CIRCLE_MAX_CLOSURE', 'CIRCLE_MIN_AXIS_RANGE', 'CIRCLE_MIN_AREA', 'CIRCLE_MIN_ANGLE_COVERAGE',
+    'CIRCLE_CANDIDATE_MIN_AREA', 'CIRCLE_CANDIDATE_MIN_ANGLE_COVERAGE'
+];
+
 export class CircleGestureRecognizer {
     constructor() {
         this.buffer = [];
@@ -20,6 +27,7 @@ export class CircleGestureRecognizer {
         this.CIRCLE_CANDIDATE_MIN_ANGLE_COVERAGE = 120;
         this.CIRCLE_COOLDOWN = 700;
         this.MAX_ANALYSIS_POINTS = 24;
+        this.defaultThresholds = this.getThresholds();
 
         this.state = 'Idle';
         this.startTime = 0;
@@ -358,6 +366,26 @@ export class CircleGestureRecognizer {
         );
     }
 
+    getThresholds() {
+        const thresholds = {};
+        TUNABLE_CIRCLE_THRESHOLDS.forEach(key => {
+            thresholds[key] = this[key];
+        });
+        return thresholds;
+    }
+
+    /**
+     * 調整プロファイルの閾値で上書きする（null なら既定値に戻す）
+     * @param {Object|null} thresholds - TUNABLE_CIRCLE_THRESHOLDS のうち数値の項目だけ使う
+     */
+    applyProfile(thresholds) {
+        Object.assign(this, this.defaultThresholds);
+        if (!thresholds) return;
+        TUNABLE_CIRCLE_THRESHOLDS.forEach(key => {
+            if (typeof thresholds[key] === 'number') this[key] = thresholds[key];
+        });
+    }
+
     clearBuffer() {
         this.buffer = [];
         this.state = 'Idle';
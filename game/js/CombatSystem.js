@@ -4,6 +4,7 @@
  */
 
 import { OfudaManager } from './OfudaManager.js';
+import { HapticPatternLibrary } from './HapticPatternLibrary.js';
 
 export class CombatSystem {
     constructor(gameWorld, motionInterpreter) {
@@ -12,6 +13,7 @@ export class CombatSystem {
 
         // Modules
         this.ofudaManager = new OfudaManager();
+        this.hapticPatterns = new HapticPatternLibrary();
 
         // 命中角度閾値（斬撃用）
         this.SWING_HIT_ANGLE = 10;
@@ -23,6 +25,10 @@ export class CombatSystem {
         // クリティカル判定
         this.CRITICAL_INTENSITY_THRESHOLD = 0.85;
 
+        // 両手同時斬り成立後、この時間内に命中した斬撃は強化ダメージ（飛翔体が届くまでの時間を含む）
+        this.TWO_HAND_SLASH_WINDOW_MS = 1200;
+        this.twoHandSlashUntil = 0;
+
         // 触覚イベント用最小間隔
         this.T_HIT_MIN = 150;
         this.lastHitHapticTime = 0;
@@ -66,6 +72,27 @@ export class CombatSystem {
         return false;
     }
 
+    /**
+     * 両手同時斬り（TwoHandGestureDetector.onTwoHandSlash）
+     */
+    handleTwoHandSlash(pair) {
+        this.twoHandSlashUntil = performance.now() + this.TWO_HAND_SLASH_WINDOW_MS;
+        this.sendHapticEvent('two_hand_slash');
+    }
+
+    isTwoHandSlashActive(now = performance.now()) {
+        return now < this.twoHandSlashUntil;
+    }
+
+    /**
+     * 斬撃1回分のダメージ（強化モード中・両手同時斬り直後は強化ダメージ）
+     */
+    getSlashDamage(now = performance.now()) {
+        return this.motionInterpreter.isPowerMode || this.isTwoHandSlashActive(now)
+            ? this.powerDamage
+            : this.normalDamage;
+    }
+
     /**
      * 札発射
      */
@@ -73,7 +100,7 @@ export class CombatSystem {
         const ofuda = this.ofudaManager.fire(viewDirection);
         
 
-        this.sendHapticEvent('ofuda_success', 180, 15);
+        this.sendHapticEvent('ofuda_success');
     }
 
     /**
@@ -100,62 +127,57 @@ export class CombatSystem {
         if (now - this.lastHitHapticTime < this.T_HIT_MIN) return;
         this.lastHitHapticTime = now;
 
-        if (isCritical) {
-            this.sendHapticEvent('critical_hit', [{ strength: 200, duration: 6 }, { strength: 200, duration: 6 }], 40);
-        } else {
-            this.sendHapticEvent('normal_hit', 200, 6);
-        }
+        this.sendHapticEvent(isCritical ? 'critical_hit' : 'normal_hit');
     }
 
     /**
      * 敵撃破時の軽い触覚イベント
      */
     sendEnemyDefeatedHaptic() {
-        this.sendHapticEvent('enemy_defeated', 120, 4);
+        this.sendHapticEvent('enemy_defeated');
     }
 
     /**
      * 被弾時の触覚イベント
      */
     sendDamageHaptic() {
-        // 断続的に3回振動するように変更
-        // 各パルスは強度255、duration=12(=120ms)、パルス間隔は120msに設定して確実に3回送信
-        this.sendHapticEvent('player_damage', [
-            { strength: 255, duration: 12 },
-            { strength: 255, duration: 12 },
-            { strength: 255, duration: 12 }
-        ], 120);
+        this.sendHapticEvent('player_damage');
     }
 
     /**
      * 強化モード開始の触覚イベント
      */
     sendPowerModeHaptic() {
-        this.sendHapticEvent('power_mode', [{ strength: 220, duration: 10 }, { strength: 220, duration: 10 }], 80);
+        this.sendHapticEvent('power_mode');
     }
 
-    sendCircleFreezeHaptic(affectedCount = 0) {
-        if (affectedCount > 0) {
-            this.sendHapticEvent('circle_freeze', [
-                { strength: 180, duration: 8 },
-                { strength: 120, duration: 6 }
-            ], 70);
-        } else {
-            this.sendHapticEvent('circle_freeze_empty', 80, 5);
-        }
+    /**
+     * 円の術の触覚イベント（円を描いた手のグローブだけに送る）
+     */
+    sendCircleFreezeHaptic(affectedCount = 0, hand = 'both') {
+        const eventType = affectedCount > 0 ? 'circle_freeze' : 'circle_freeze_empty';
+        this.sendHapticEvent(eventType, eventType, hand);
+    }
+
+    /**
+     * 印の成立（描いた手のみ）
+     */
+    sendSealHaptic(hand = 'both') {
+        this.sendHapticEvent('seal_detected', 'seal_detected', hand);
     }
 
     /**
      * 触覚イベント送信（汎用）
+     * @param {string} eventType - イベント種別（同名の触覚パターンを使う）
+     * @param {string} patternName - 別のパターンを流用する場合に指定
+     * @param {'both'|'right'|'left'} hand - 送信先のグローブ
      */
-    sendHapticEvent(eventType, strengthOrPulses, durationOrInterval) {
-        if (this.onHapticEvent) {
-            this.onHapticEvent({
-                type: eventType,
-                data: Array.isArray(strengthOrPulses)
-                    ? { pulses: strengthOrPulses, interval: durationOrInterval }
-                    : { strength: strengthOrPulses, duration: durationOrInterval }
-            });
-        }
+    sendHapticEvent(eventType, patternName = eventType, hand = 'both') {
+        if (!this.onHapticEvent) return;
+
+        const pulses = this.hapticPatterns.compile(patternName);
+        if (!pulses || pulses.length === 0) return;
+
+        this.onHapticEvent({ type: eventType, pattern: patternName, pulses, hand });
     }
 }
@@ -0,0 +1,269 @@
+/**
+ * ComboRecognizer.js
+ * ジェスチャのトークン列を、設定可能なコンボ定義（並びと時間窓）と照合するクラス
+ *
+ * トークン: { type: 'slash' | 'circle' | 'thrust' | 'hold' | 'seal', detail, intensity, timestamp }
+ *   detail は slash なら方向（SlashDirectionClassifier の direction）、seal なら印の名前。
+ *
+ * コンボ定義:
+ *   {
+ *     sequence: ['slash', 'slash:down', 'slash:left|right', 'slash+', 'seal:pentagram', ...],
+ *     windowMs: 1200,            // 最初のトークンから最後のトークンまで
+ *     maxGapMs: 600,             // 省略可。連続するトークンの間隔の上限
+ *     minAverageIntensity: 0.5,  // 省略可。強さを持つトークンの平均の下限
+ *     tokenTypes: ['slash']      // 省略可。数えるトークンの種類（他の種類は間に入っても無視）
+ *   }
+ * 末尾が '+' の要素は1個以上に一致し、時間窓に入るだけ前へ含める。
+ * 新しいトークンで終わる並びが sequence と連続して一致したら成立する（tokenTypes 以外の種類が間に入ると不成立）。
+ * コンボごとに独立して照合し、成立に使ったトークンはそのコンボにだけ使い切る（他のコンボは同じトークンで成立できる）。
+ */
+
+export const DEFAULT_COMBOS = {
+    // 強化モード: 1.2秒以内に斬撃3回以上、その平均強さが0.5以上（斬撃以外の動作は数えない）
+    power_mode: {
+        sequence: ['slash', 'slash', 'slash+'],
+        windowMs: 1200,
+        minAverageIntensity: 0.5,
+        tokenTypes: ['slash']
+    },
+    // 十字斬り: 横斬りのあと縦斬り
+    cross_slash: {
+        sequence: ['slash:left|right', 'slash:up|down'],
+        windowMs: 900
+    },
+    // 構えてから突く
+    hold_thrust: {
+        sequence: ['hold', 'thrust'],
+        windowMs: 1500
+    },
+    // 円を描いてから突く
+    circle_thrust: {
+        sequence: ['circle', 'thrust'],
+        windowMs: 1500
+    }
+};
+
+export const COMBO_TOKEN_TYPES = ['slash', 'circle', 'thrust', 'hold', 'seal'];
+
+export class ComboRecognizer {
+    constructor(combos = DEFAULT_COMBOS) {
+        this.MAX_TOKENS = 16;
+
+        this.combos = new Map();
+        this.definitions = {};
+        for (const name in combos) {
+            this.define(name, combos[name]);
+        }
+
+        this.tokens = [];
+        this.nextTokenId = 0;
+        this.lastCombo = null;
+
+        this.onComboDetected = null;
+    }
+
+    /**
+     * コンボを登録（同名は上書き、null なら削除）
+     * @param {string} name
+     * @param {Object|null} definition
+     */
+    define(name, definition) {
+        if (definition === null) {
+            this.combos.delete(name);
+            delete this.definitions[name];
+            return;
+        }
+        this.validate(name, definition);
+        this.definitions[name] = definition;
+        this.combos.set(name, {
+            name,
+            steps: definition.sequence.map(step => this.parseStep(step)),
+            windowMs: definition.windowMs,
+            maxGapMs: typeof definition.maxGapMs === 'number' ? definition.maxGapMs : null,
+            minAverageIntensity: typeof definition.minAverageIntensity === 'number' ? definition.minAverageIntensity : null,
+            tokenTypes: Array.isArray(definition.tokenTypes) ? definition.tokenTypes : null,
+            // このコンボで使い切った最後のトークン
+            consumedTokenId: -1
+        });
+    }
+
+    validate(name, definition) {
+        if (definition === null) return;
+        if (!definition || !Array.isArray(definition.sequence) || definition.sequence.length === 0) {
+            throw new Error(`コンボ ${name} の sequence が不正です`);
+        }
+        definition.sequence.forEach(step => {
+            if (typeof step !== 'string' || !COMBO_TOKEN_TYPES.includes(this.parseStep(step).type)) {
+                throw new Error(`コンボ ${name} に不正なトークンがあります: ${JSON.stringify(step)}`);
+            }
+        });
+        if (!(definition.windowMs > 0)) {
+            throw new Error(`コンボ ${name} の windowMs が不正です`);
+        }
+        if (definition.tokenTypes !== undefined &&
+            (!Array.isArray(definition.tokenTypes) || !definition.tokenTypes.every(type => COMBO_TOKEN_TYPES.includes(type)))) {
+            throw new Error(`コンボ ${name} の tokenTypes が不正です`);
+        }
+    }
+
+    /**
+     * 'slash:left|right' → { type: 'slash', details: ['left', 'right'], repeat: false }
+     * 'slash+' → { type: 'slash', details: null, repeat: true }
+     */
+    parseStep(step) {
+        const repeat = step.endsWith('+');
+        const [type, detail] = (repeat ? step.slice(0, -1) : step).split(':');
+        return { type, details: detail ? detail.split('|') : null, repeat };
+    }
+
+    getComboNames() {
+        return Array.from(this.combos.keys());
+    }
+
+    /**
+     * 登録済みの定義（applyOverrides にそのまま渡せる。再生で同じコンボを使うため）
+     */
+    getDefinitions() {
+        return { ...this.definitions };
+    }
+
+    /**
+     * 設定オブジェクトの combos でコンボを追加・上書き・削除
+     * @param {Object} settings - { combos: { name: definition | null, ... } }
+     */
+    applyOverrides(settings = {}) {
+        const combos = settings.combos || {};
+        // 1つでも不正なら何も変更しない
+        for (const name in combos) {
+            this.validate(name, combos[name]);
+        }
+        for (const name in combos) {
+            this.define(name, combos[name]);
+        }
+    }
+
+    /**
+     * 設定ファイル（JSON）を読み込んで追加・上書き。ファイルが無い・不正な場合は既定のまま
+     * @param {string} url
+     * @returns {Promise<boolean>} 読み込めたか
+     */
+    async loadOverrides(url) {
+        try {
+            const resp = await fetch(url, { cache: 'no-cache' });
+            if (!resp.ok) return false;
+            this.applyOverrides(await resp.json());
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * @param {{type: string, detail?: string, intensity?: number, timestamp: number}} token
+     * @returns {Array<Object>} 成立したコンボ（定義順）
+     */
+    addToken(token) {
+        this.tokens.push({
+            id: this.nextTokenId++,
+            type: token.type,
+            detail: token.detail ?? null,
+            intensity: typeof token.intensity === 'number' ? token.intensity : null,
+            timestamp: token.timestamp
+        });
+        if (this.tokens.length > this.MAX_TOKENS) {
+            this.tokens.shift();
+        }
+
+        const detected = [];
+        this.combos.forEach(definition => {
+            const matched = this.matchCombo(definition);
+            if (!matched) return;
+
+            definition.consumedTokenId = matched[matched.length - 1].id;
+            const combo = {
+                name: definition.name,
+                tokens: matched.map(({ id, ...rest }) => rest),
+                intensity: this.averageIntensity(matched),
+                durationMs: matched[matched.length - 1].timestamp - matched[0].timestamp,
+                timestamp: token.timestamp
+            };
+            this.lastCombo = combo;
+            detected.push(combo);
+        });
+
+        detected.forEach(combo => {
+            if (this.onComboDetected) {
+                this.onComboDetected(combo);
+            }
+        });
+        return detected;
+    }
+
+    /**
+     * 新しいトークンで終わる並びがコンボの並び・時間窓・強さの条件を満たすか
+     * @returns {Array|null} 一致したトークン
+     */
+    matchCombo(combo) {
+        const tokens = this.tokens.filter(t => t.id > combo.consumedTokenId &&
+            (!combo.tokenTypes || combo.tokenTypes.includes(t.type)));
+        const last = tokens[tokens.length - 1];
+        if (!last || last.id !== this.tokens[this.tokens.length - 1].id) return null;
+
+        const matched = this.matchSteps(combo, tokens, combo.steps.length - 1, tokens.length - 1, last.timestamp);
+        if (!matched) return null;
+
+        if (combo.minAverageIntensity !== null) {
+            const average = this.averageIntensity(matched);
+            if (average === null || average < combo.minAverageIntensity) return null;
+        }
+        return matched;
+    }
+
+    /**
+     * 並びを後ろから照合する。'+' の要素はできるだけ多く取り、合わなければ減らしてやり直す
+     * @returns {Array|null} steps[0..stepIndex] に一致したトークン（古い順）
+     */
+    matchSteps(combo, tokens, stepIndex, tokenIndex, endTime) {
+        if (stepIndex < 0) return [];
+
+        const step = combo.steps[stepIndex];
+        let count = 0;
+        while (tokenIndex - count >= 0 && (count === 0 || step.repeat)) {
+            const token = tokens[tokenIndex - count];
+            if (!this.matchesStep(step, token) || endTime - token.timestamp > combo.windowMs) break;
+            if (combo.maxGapMs !== null && tokenIndex - count + 1 < tokens.length &&
+                tokens[tokenIndex - count + 1].timestamp - token.timestamp > combo.maxGapMs) break;
+            count++;
+        }
+
+        for (; count >= 1; count--) {
+            const rest = this.matchSteps(combo, tokens, stepIndex - 1, tokenIndex - count, endTime);
+            if (rest) return [...rest, ...tokens.slice(tokenIndex - count + 1, tokenIndex + 1)];
+        }
+        return null;
+    }
+
+    matchesStep(step, token) {
+        return token.type === step.type && (!step.details || step.details.includes(token.detail));
+    }
+
+    averageIntensity(tokens) {
+        const intensities = tokens.filter(t => t.intensity !== null).map(t => t.intensity);
+        return intensities.length ? intensities.reduce((sum, value) => sum + value, 0) / intensities.length : null;
+    }
+
+    /**
+     * 直近のトークン（デバッグ表示用）: 'slash:right circle hold'
+     */
+    describeTokens(count = 6) {
+        return this.tokens.slice(-count).map(t => (t.detail ? `${t.type}:${t.detail}` : t.type)).join(' ');
+    }
+
+    reset() {
+        this.tokens = [];
+        this.lastCombo = null;
+        this.combos.forEach(combo => {
+            combo.consumedTokenId = -1;
+        });
+    }
+}
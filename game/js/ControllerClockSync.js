@@ -0,0 +1,80 @@
+/**
+ * ControllerClockSync.js
+ * コントローラ時刻（フレームの deviceTimeMs）をページ時刻（performance.now()）へ対応付けるクラス
+ *
+ * 到着時刻 = コントローラ時刻 + offset + 通信遅延（常に 0 以上）と考え、
+ * 直近 WINDOW_MS の観測で最小の「到着時刻 - コントローラ時刻」を offset とする。
+ * BLE の接続間隔でまとめて届いたフレームも、送信側で刻んだ間隔のまま並べ直せる。
+ * jitter は窓内の遅延の標準偏差（ms）。
+ */
+
+export class ControllerClockSync {
+    constructor() {
+        this.WINDOW_MS = 2000;
+        this.MIN_SYNC_SAMPLES = 5;
+        this.RESET_BACKWARD_MS = 1000; // これ以上の巻き戻りはコントローラ再起動とみなす
+
+        this.observations = []; // { deviceTime, delay }
+        this.offset = null;
+        this.jitter = 0;
+        this.lastDeviceTime = null;
+        this.resetCount = 0;
+    }
+
+    /**
+     * 1フレーム分の観測を追加
+     * @param {number} deviceTimeMs - コントローラ時刻
+     * @param {number} arrivalTime - 通知の受信時刻（ページ時刻）
+     */
+    observe(deviceTimeMs, arrivalTime) {
+        if (this.lastDeviceTime !== null && deviceTimeMs < this.lastDeviceTime - this.RESET_BACKWARD_MS) {
+            this.reset();
+            this.resetCount++;
+        }
+        this.lastDeviceTime = deviceTimeMs;
+
+        this.observations.push({ deviceTime: deviceTimeMs, delay: arrivalTime - deviceTimeMs });
+        while (this.observations.length > 0 && deviceTimeMs - this.observations[0].deviceTime > this.WINDOW_MS) {
+            this.observations.shift();
+        }
+
+        let minDelay = Infinity;
+        let sum = 0;
+        this.observations.forEach(o => {
+            minDelay = Math.min(minDelay, o.delay);
+            sum += o.delay;
+        });
+        const mean = sum / this.observations.length;
+        const variance = this.observations.reduce((acc, o) => acc + (o.delay - mean) * (o.delay - mean), 0) / this.observations.length;
+
+        this.offset = minDelay;
+        this.jitter = Math.sqrt(variance);
+    }
+
+    /**
+     * @returns {number|null} ページ時刻（観測が無ければ null）
+     */
+    toPageTime(deviceTimeMs) {
+        return this.offset === null ? null : deviceTimeMs + this.offset;
+    }
+
+    isSynced() {
+        return this.observations.length >= this.MIN_SYNC_SAMPLES;
+    }
+
+    reset() {
+        this.observations = [];
+        this.offset = null;
+        this.jitter = 0;
+        this.lastDeviceTime = null;
+    }
+
+    getStats() {
+        return {
+            synced: this.isSynced(),
+            offset: this.offset,
+            jitter: this.jitter,
+            resetCount: this.resetCount
+        };
+    }
+}
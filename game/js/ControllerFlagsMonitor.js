@@ -0,0 +1,119 @@
+/**
+ * ControllerFlagsMonitor.js
+ * センサーフレームの flags バイトを解釈し、ビットの変化をイベントにするクラス
+ *
+ * flags ビット配置（bit4-7 は予約。旧ファームは常に 0 を送る）:
+ *   bit0 BUTTON            グローブの物理ボタン押下中
+ *   bit1 IMU_CALIBRATED    IMU 内部キャリブレーション完了
+ *   bit2 LOW_BATTERY       コントローラ側の低電圧検出
+ *   bit3 MOTION_SATURATED  加速度/角速度がセンサーレンジ上限に達した
+ */
+
+export const CONTROLLER_FLAG_BITS = {
+    BUTTON: 0x01,
+    IMU_CALIBRATED: 0x02,
+    LOW_BATTERY: 0x04,
+    MOTION_SATURATED: 0x08
+};
+
+/**
+ * @param {number} flags - flags バイト
+ * @returns {{button: boolean, imuCalibrated: boolean, lowBattery: boolean, motionSaturated: boolean}}
+ */
+export function decodeControllerFlags(flags) {
+    return {
+        button: (flags & CONTROLLER_FLAG_BITS.BUTTON) !== 0,
+        imuCalibrated: (flags & CONTROLLER_FLAG_BITS.IMU_CALIBRATED) !== 0,
+        lowBattery: (flags & CONTROLLER_FLAG_BITS.LOW_BATTERY) !== 0,
+        motionSaturated: (flags & CONTROLLER_FLAG_BITS.MOTION_SATURATED) !== 0
+    };
+}
+
+export class ControllerFlagsMonitor {
+    constructor() {
+        this.BUTTON_HOLD_MS = 800;
+
+        this.state = decodeControllerFlags(0);
+        this.lastFlags = null;
+        this.buttonDownAt = null;
+        this.isHoldFired = false;
+        this.saturatedFrameCount = 0;
+        this.lastSaturatedAt = null;
+
+        // Callbacks
+        this.onButtonDown = null;
+        this.onButtonUp = null;      // ({ heldMs })
+        this.onButtonHold = null;    // 長押し成立時に1回
+        this.onStatusChanged = null; // (name, value, state)
+    }
+
+    /**
+     * @param {Object} frame - SensorFrameParser.parseFrame の結果
+     */
+    update(frame) {
+        const flags = frame.flags || 0;
+        const now = frame.timestamp;
+
+        if (flags & CONTROLLER_FLAG_BITS.MOTION_SATURATED) {
+            this.saturatedFrameCount++;
+            this.lastSaturatedAt = now;
+        }
+
+        if (flags !== this.lastFlags) {
+            const previous = this.state;
+            this.state = decodeControllerFlags(flags);
+            // 最初のフレームは基準として扱い、イベントは出さない（接続直後の誤発火防止）
+            if (this.lastFlags !== null) {
+                this.emitChanges(previous, now);
+            } else if (this.state.button) {
+                this.buttonDownAt = now;
+                this.isHoldFired = true;
+            }
+            this.lastFlags = flags;
+        }
+
+        if (this.state.button && !this.isHoldFired && now - this.buttonDownAt >= this.BUTTON_HOLD_MS) {
+            this.isHoldFired = true;
+            if (this.onButtonHold) this.onButtonHold();
+        }
+    }
+
+    emitChanges(previous, now) {
+        if (this.state.button !== previous.button) {
+            if (this.state.button) {
+                this.buttonDownAt = now;
+                this.isHoldFired = false;
+                if (this.onButtonDown) this.onButtonDown();
+            } else {
+                const heldMs = this.buttonDownAt !== null ? now - this.buttonDownAt : 0;
+                this.buttonDownAt = null;
+                if (this.onButtonUp) this.onButtonUp({ heldMs });
+            }
+        }
+
+        ['imuCalibrated', 'lowBattery', 'motionSaturated'].forEach(name => {
+            if (this.state[name] !== previous[name] && this.onStatusChanged) {
+                this.onStatusChanged(name, this.state[name], this.state);
+            }
+        });
+    }
+
+    /**
+     * 接続切り替え時などに状態を初期化
+     */
+    reset() {
+        this.state = decodeControllerFlags(0);
+        this.lastFlags = null;
+        this.buttonDownAt = null;
+        this.isHoldFired = false;
+    }
+
+    getStats() {
+        return {
+            ...this.state,
+            flags: this.lastFlags,
+            saturatedFrameCount: this.saturatedFrameCount,
+            lastSaturatedAt: this.lastSaturatedAt
+        };
+    }
+}
@@ -0,0 +1,348 @@
+/**
+ * ControllerTransport.js
+ * コントローラ通信の共通インターフェース（BLE / WebSerial / WebSocket が実装する）
+ *
+ * 上り: SensorFrameParser に登録されたセンサーフレーム（euler15 / quat17 / gyro23 など）、またはそのバッチ通知
+ * 下り: 2 バイトの触覚コマンド（strength, duration）
+ *
+ * 派生クラスが実装するもの:
+ * - connect()            ユーザー操作起点の接続
+ * - reopen()             許可済みデバイス／ポート／URLへの再接続
+ * - canReopen()          reopen() が可能か
+ * - closeConnection()    実際の切断処理
+ * - writeHapticValue()   2バイトコマンドの書き込み
+ * 受信したフレームは handleSensorData() へ、切断は handleDisconnect() へ渡すこと。
+ * バッテリー残量や機種情報が分かる場合は updateDeviceInfo() で通知する。
+ */
+
+export class ControllerTransport {
+    constructor() {
+        this.transportType = 'base';
+
+        this.isConnected = false;
+        this.onDataCallback = null;
+        this.onRawDataCallback = null;
+        this.onDisconnectCallback = null;
+        this.onReconnectingCallback = null;
+        this.onReconnectedCallback = null;
+        this.onReconnectFailedCallback = null;
+        this.onDeviceInfoCallback = null;
+
+        // 任意のデバイス情報（取得できないものは null）
+        this.deviceInfo = this.createEmptyDeviceInfo();
+
+        // 自動再接続（指数バックオフ）
+        this.RECONNECT_MAX_ATTEMPTS = 8;
+        this.RECONNECT_BASE_DELAY = 500; // ms
+        this.RECONNECT_MAX_DELAY = 8000; // ms
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.isManualDisconnect = false;
+
+        // 触覚送信レート制限（最大10コマンド/秒）
+        this.hapticQueue = [];
+        this.lastHapticSendTime = 0;
+        this.HAPTIC_MIN_INTERVAL = 100; // ms
+        this.minSensorIntervalMs = 0;
+        this.lastSensorCallbackTime = 0;
+        this.sensorTimestamps = [];
+        this.processedSensorTimestamps = [];
+        this.skippedSensorFrames = 0;
+        this.hapticSentCount = 0;
+        this.hapticSkippedCount = 0;
+        this.DEBUG_LOGS = false;
+    }
+
+    /**
+     * 接続を開始（ユーザー操作起点）
+     */
+    async connect() {
+        throw new Error(`${this.constructor.name}.connect() is not implemented`);
+    }
+
+    /**
+     * 許可済みの接続先へ再接続
+     */
+    async reopen() {
+        throw new Error(`${this.constructor.name}.reopen() is not implemented`);
+    }
+
+    canReopen() {
+        return false;
+    }
+
+    closeConnection() {
+    }
+
+    async writeHapticValue(command, duration) {
+        throw new Error(`${this.constructor.name}.writeHapticValue() is not implemented`);
+    }
+
+    canSendHaptic() {
+        return this.isConnected;
+    }
+
+    /**
+     * センサーデータ受信ハンドラ
+     * @param {DataView|Uint8Array} data - 1フレーム分のバイト列
+     */
+    handleSensorData(data) {
+        const now = performance.now();
+        if (this.onRawDataCallback) {
+            // 間引き前の全通知（セッション記録用）
+            this.onRawDataCallback(data, now);
+        }
+        this.recordTimestamp(this.sensorTimestamps, now);
+        if (this.minSensorIntervalMs > 0 && now - this.lastSensorCallbackTime < this.minSensorIntervalMs) {
+            this.skippedSensorFrames++;
+            return;
+        }
+
+        this.lastSensorCallbackTime = now;
+        this.recordTimestamp(this.processedSensorTimestamps, now);
+        if (this.onDataCallback) {
+            this.onDataCallback(data);
+        }
+    }
+
+    recordTimestamp(list, now) {
+        list.push(now);
+        while (list.length > 90) list.shift();
+    }
+
+    getTimestampHz(list) {
+        if (!list || list.length < 2) return 0;
+        const duration = list[list.length - 1] - list[0];
+        return duration > 0 ? ((list.length - 1) / duration) * 1000 : 0;
+    }
+
+    setSensorMinInterval(intervalMs = 0) {
+        this.minSensorIntervalMs = Math.max(0, intervalMs || 0);
+    }
+
+    setPerformanceMode(mode) {
+        const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent || '');
+        const intervals = isMobile ? {
+            normal: 1000 / 45,
+            warm: 1000 / 35,
+            hot: 1000 / 24
+        } : {
+            normal: 1000 / 60,
+            warm: 1000 / 50,
+            hot: 1000 / 45
+        };
+        if (mode === 'hot') mode = 'warm';
+        this.setSensorMinInterval(intervals[mode] || intervals.normal);
+    }
+
+    createEmptyDeviceInfo() {
+        return {
+            batteryLevel: null, // %
+            modelNumber: null,
+            firmwareRevision: null,
+            manufacturerName: null
+        };
+    }
+
+    /**
+     * デバイス情報を更新して通知
+     * @param {Object} info - deviceInfo の一部
+     */
+    updateDeviceInfo(info) {
+        this.deviceInfo = { ...this.deviceInfo, ...info };
+        if (this.onDeviceInfoCallback) {
+            this.onDeviceInfoCallback(this.deviceInfo);
+        }
+    }
+
+    getDeviceInfo() {
+        return this.deviceInfo;
+    }
+
+    /**
+     * 接続先のコントローラを次回も見分けられる ID（キャリブレーションの保存キー）
+     * @returns {string|null} 見分けられない通信手段では null
+     */
+    getControllerId() {
+        return null;
+    }
+
+    /**
+     * 切断ハンドラ
+     */
+    handleDisconnect() {
+
+        this.isConnected = false;
+
+        if (this.onDisconnectCallback) {
+            this.onDisconnectCallback();
+        }
+
+        if (!this.isManualDisconnect) {
+            this.scheduleReconnect();
+        }
+    }
+
+    /**
+     * 次の再接続試行を予約する
+     */
+    scheduleReconnect() {
+        if (this.reconnectTimer || !this.canReopen()) return;
+
+        if (this.reconnectAttempt >= this.RECONNECT_MAX_ATTEMPTS) {
+            this.reconnectAttempt = 0;
+            if (this.onReconnectFailedCallback) {
+                this.onReconnectFailedCallback();
+            }
+            return;
+        }
+
+        this.reconnectAttempt++;
+        const delayMs = this.getReconnectDelay(this.reconnectAttempt);
+        if (this.onReconnectingCallback) {
+            this.onReconnectingCallback({
+                attempt: this.reconnectAttempt,
+                maxAttempts: this.RECONNECT_MAX_ATTEMPTS,
+                delayMs
+            });
+        }
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.attemptReconnect();
+        }, delayMs);
+    }
+
+    getReconnectDelay(attempt) {
+        return Math.min(this.RECONNECT_MAX_DELAY, this.RECONNECT_BASE_DELAY * Math.pow(2, attempt - 1));
+    }
+
+    async attemptReconnect() {
+        if (this.isManualDisconnect || !this.canReopen()) return;
+
+        try {
+            await this.reopen();
+            this.reconnectAttempt = 0;
+            if (this.onReconnectedCallback) {
+                this.onReconnectedCallback();
+            }
+        } catch (error) {
+            this.isConnected = false;
+            this.scheduleReconnect();
+        }
+    }
+
+    cancelReconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.reconnectAttempt = 0;
+    }
+
+    isReconnecting() {
+        return !!this.reconnectTimer;
+    }
+
+    /**
+     * センサーデータ受信時のコールバックを設定
+     */
+    setOnDataCallback(callback) {
+        this.onDataCallback = callback;
+    }
+
+    /**
+     * 間引き前の全受信データのコールバックを設定 (data, arrivalTimestamp)
+     */
+    setOnRawDataCallback(callback) {
+        this.onRawDataCallback = callback;
+    }
+
+    /**
+     * 切断時のコールバックを設定
+     */
+    setOnDisconnectCallback(callback) {
+        this.onDisconnectCallback = callback;
+    }
+
+    /**
+     * デバイス情報（バッテリー・機種・FW）更新時のコールバックを設定
+     */
+    setOnDeviceInfoCallback(callback) {
+        this.onDeviceInfoCallback = callback;
+    }
+
+    /**
+     * 自動再接続の進捗コールバックを設定
+     * @param {Object} callbacks - { onReconnecting({attempt, maxAttempts, delayMs}), onReconnected(), onReconnectFailed() }
+     */
+    setReconnectCallbacks(callbacks = {}) {
+        this.onReconnectingCallback = callbacks.onReconnecting || null;
+        this.onReconnectedCallback = callbacks.onReconnected || null;
+        this.onReconnectFailedCallback = callbacks.onReconnectFailed || null;
+    }
+
+    /**
+     * 触覚コマンドを送信（2バイト: strength, duration）
+     * @param {number} strength - 0-255
+     * @param {number} duration - 10ms単位、0-255（最大2550ms）
+     */
+    async sendHapticCommand(strength, duration) {
+        if (!this.isConnected || !this.canSendHaptic()) {
+
+            return false;
+        }
+
+        // レート制限チェック
+        const now = performance.now();
+        if (now - this.lastHapticSendTime < this.HAPTIC_MIN_INTERVAL) {
+            this.hapticSkippedCount++;
+            return false;
+        }
+
+        try {
+            // 2バイトのコマンド作成
+            const command = new Uint8Array([
+                Math.min(255, Math.max(0, strength)),
+                Math.min(255, Math.max(0, duration))
+            ]);
+
+            await this.writeHapticValue(command, duration);
+            this.lastHapticSendTime = now;
+            this.hapticSentCount++;
+
+            return true;
+        } catch (error) {
+
+            return false;
+        }
+    }
+
+    /**
+     * 切断（ユーザー操作起点。自動再接続は行わない）
+     */
+    disconnect() {
+        this.isManualDisconnect = true;
+        this.cancelReconnect();
+        this.closeConnection();
+        this.isConnected = false;
+    }
+
+    /**
+     * 接続状態を取得
+     */
+    getConnectionState() {
+        return this.isConnected;
+    }
+
+    getStats() {
+        return {
+            transportType: this.transportType,
+            rawReceiveHz: this.getTimestampHz(this.sensorTimestamps),
+            callbackHz: this.getTimestampHz(this.processedSensorTimestamps),
+            skippedSensorFrames: this.skippedSensorFrames,
+            hapticSentCount: this.hapticSentCount,
+            hapticSkippedCount: this.hapticSkippedCount
+        };
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * DebugOverlay.js
+ * デバッグHUD（仕様 §14）。右上の DEBUG ボタンを3秒長押しで表示を切り替える半透明パネル
+ *
+ * 表示内容は呼び出し側の provider が返す行データ [[label, value, level], ...] をそのまま描画する。
+ * level に 'warn' を渡すとその行を強調表示する。
+ * setControls() で渡した調整用の操作部品（トグル・スライダー）は行データの上に表示する。
+ */
+
+export class DebugOverlay {
+    /**
+     * @param {Function} provider - () => Array<[string, string, string?]>
+     */
+    constructor(provider) {
+        this.provider = provider;
+        this.LONG_PRESS_MS = 3000;
+        this.REFRESH_INTERVAL_MS = 200;
+
+        this.isVisible = false;
+        this.toggleButton = null;
+        this.panel = null;
+        this.controlsElement = null;
+        this.rowsElement = null;
+        this.controls = [];
+        this.pressTimer = null;
+        this.refreshTimer = null;
+    }
+
+    init() {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'debug-overlay-toggle';
+        button.textContent = 'DEBUG';
+
+        const startPress = (e) => {
+            e.preventDefault();
+            this.cancelPress();
+            button.classList.add('pressing');
+            this.pressTimer = setTimeout(() => {
+                this.pressTimer = null;
+                button.classList.remove('pressing');
+                this.toggle();
+            }, this.LONG_PRESS_MS);
+        };
+        button.addEventListener('pointerdown', startPress);
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+            button.addEventListener(type, () => this.cancelPress());
+        });
+
+        const panel = document.createElement('div');
+        panel.className = 'debug-overlay-panel';
+        const controlsElement = document.createElement('div');
+        controlsElement.className = 'debug-overlay-controls';
+        const rowsElement = document.createElement('div');
+        panel.appendChild(controlsElement);
+        panel.appendChild(rowsElement);
+
+        document.body.appendChild(button);
+        document.body.appendChild(panel);
+        this.toggleButton = button;
+        this.panel = panel;
+        this.controlsElement = controlsElement;
+        this.rowsElement = rowsElement;
+        this.renderControls();
+    }
+
+    /**
+     * 調整用の操作部品を設定
+     * @param {Array<Object>} controls - { label, type: 'toggle'|'range', min, max, step, get: () => value, set: (value) => void }
+     */
+    setControls(controls = []) {
+        this.controls = controls;
+        this.renderControls();
+    }
+
+    renderControls() {
+        if (!this.controlsElement) return;
+
+        const fragment = document.createDocumentFragment();
+        this.controls.forEach(control => {
+            const row = document.createElement('label');
+            row.className = 'debug-overlay-row debug-overlay-control';
+            const labelEl = document.createElement('span');
+            labelEl.className = 'debug-overlay-label';
+            labelEl.textContent = control.label;
+            row.appendChild(labelEl);
+
+            const input = document.createElement('input');
+            if (control.type === 'toggle') {
+                input.type = 'checkbox';
+                input.checked = !!control.get();
+                input.addEventListener('change', () => control.set(input.checked));
+                row.appendChild(input);
+            } else {
+                const valueEl = document.createElement('span');
+                input.type = 'range';
+                input.min = control.min;
+                input.max = control.max;
+                input.step = control.step;
+                input.value = control.get();
+                valueEl.textContent = input.value;
+                input.addEventListener('input', () => {
+                    valueEl.textContent = input.value;
+                    control.set(Number(input.value));
+                });
+                row.appendChild(input);
+                row.appendChild(valueEl);
+            }
+            fragment.appendChild(row);
+        });
+        this.controlsElement.replaceChildren(fragment);
+    }
+
+    cancelPress() {
+        if (this.pressTimer) {
+            clearTimeout(this.pressTimer);
+            this.pressTimer = null;
+        }
+        if (this.toggleButton) this.toggleButton.classList.remove('pressing');
+    }
+
+    toggle() {
+        this.setVisible(!this.isVisible);
+    }
+
+    setVisible(visible) {
+        this.isVisible = visible;
+        if (this.panel) this.panel.classList.toggle('active', visible);
+
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        if (visible) {
+            this.refresh();
+            this.refreshTimer = setInterval(() => this.refresh(), this.REFRESH_INTERVAL_MS);
+        }
+    }
+
+    refresh() {
+        if (!this.rowsElement || !this.provider) return;
+
+        let rows = [];
+        try {
+            rows = this.provider() || [];
+        } catch (e) {
+            rows = [['error', e.message, 'warn']];
+        }
+
+        const fragment = document.createDocumentFragment();
+        rows.forEach(([label, value, level]) => {
+            const row = document.createElement('div');
+            row.className = level === 'warn' ? 'debug-overlay-row warn' : 'debug-overlay-row';
+            const labelEl = document.createElement('span');
+            labelEl.className = 'debug-overlay-label';
+            labelEl.textContent = label;
+            const valueEl = document.createElement('span');
+            valueEl.textContent = value;
+            row.appendChild(labelEl);
+            row.appendChild(valueEl);
+            fragment.appendChild(row);
+        });
+        this.rowsElement.replaceChildren(fragment);
+    }
+}
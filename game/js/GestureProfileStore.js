@@ -0,0 +1,36 @@
+/**
+ * GestureProfileStore.js
+ * GestureTuningSession で求めた個人の閾値プロファイルを localStorage に保存するクラス
+ *
+ * プロファイル: { version, createdAt, swing: {...}, circle: {...}, samples: { slashes, circles } }
+ * swing / circle は SwingDetector / CircleGestureRecognizer の applyProfile にそのまま渡す。
+ */
+
+const GESTURE_PROFILE_STORAGE_KEY = 'aronmyouji.gestureProfile';
+export const GESTURE_PROFILE_VERSION = 1;
+
+export class GestureProfileStore {
+    /**
+     * @returns {Object|null}
+     */
+    load() {
+        try {
+            const profile = JSON.parse(localStorage.getItem(GESTURE_PROFILE_STORAGE_KEY));
+            return profile && profile.version === GESTURE_PROFILE_VERSION ? profile : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    save(profile) {
+        try {
+            localStorage.setItem(GESTURE_PROFILE_STORAGE_KEY, JSON.stringify(profile));
+        } catch (e) { }
+    }
+
+    clear() {
+        try {
+            localStorage.removeItem(GESTURE_PROFILE_STORAGE_KEY);
+        } catch (e) { }
+    }
+}
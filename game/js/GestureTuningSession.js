@@ -0,0 +1,358 @@
+/**
+ * GestureTuningSession.js
+ * 案内に従って静止・斬撃・円を行ってもらい、そのサンプルから個人の閾値プロファイルを求めるクラス
+ *
+ * フレームは間引く前のものを addFrame で渡す。動作区間は既定の閾値より低い a_mag で切り出すので、
+ * 今の閾値では検出されない弱い振りもサンプルになる。求めたプロファイルは GestureProfileStore で保存し、
+ * MotionInterpreter.setGestureProfile で検出器に読み込む。
+ * 静止中の揺れが大きすぎる・振りが弱すぎて閾値を決められないときは保存せず、理由を添えて最初からやり直す。
+ */
+
+import { CircleGestureRecognizer } from './CircleGestureRecognizer.js';
+import { GESTURE_PROFILE_VERSION } from './GestureProfileStore.js';
+import { MotionKinematics } from './MotionKinematics.js';
+
+export const GESTURE_TUNING_STEPS = [
+    { type: 'idle', durationMs: 2500, label: '構えたまま静止' },
+    { type: 'slash', count: 5, label: 'いつもの強さで斬れ' },
+    { type: 'idle', durationMs: 2500, label: '構えたまま静止' },
+    { type: 'circle', count: 3, label: '円を描け' }
+];
+
+export class GestureTuningSession {
+    constructor() {
+        // 動作区間の切り出し
+        this.MOTION_MIN_START_G = 0.2;
+        this.MOTION_NOISE_MARGIN_G = 0.1;
+        this.MOTION_END_HOLD_MS = 150;
+        this.MOTION_MIN_MS = 40;
+        this.MAX_SEGMENT_MS = { slash: 1200, circle: 2500 };
+        // 斬った直後の揺り戻しを待つ時間。この間の動きはサンプルにせず T_COOLDOWN の根拠にする
+        this.SETTLE_MS = 700;
+        // 判定は 50Hz 前後に間引いたフレームで行うため、加速度の立ち上がりはその間隔あたりに換算する
+        this.FRAME_INTERVAL_MS = 20;
+        this.TURN_VECTOR_MIN_DEG = 4;
+
+        // 円の中間量の計算だけに使う（閾値は使わない）
+        this.circleMetrics = new CircleGestureRecognizer();
+        this.isActive = false;
+
+        // Callbacks
+        this.onPromptChanged = null;
+        this.onComplete = null;
+    }
+
+    /**
+     * @param {string|null} [retryReason] - やり直しの理由（最初の案内に添える）
+     */
+    start(retryReason = null) {
+        this.isActive = true;
+        this.retryReason = retryReason;
+        this.rejectionReason = null;
+        this.stepIndex = 0;
+        this.stepStartTime = null;
+        this.stepSampleCount = 0;
+        this.samples = { idle: [], slash: [], circle: [] };
+        this.rebounds = [];
+        this.idleSample = null;
+        this.segment = null;
+        this.settleUntil = -Infinity;
+        this.lastSlashEnd = null;
+        this.lastFrameTime = null;
+        this.lastAMag = null;
+        this.emitPrompt();
+    }
+
+    cancel() {
+        this.isActive = false;
+        this.segment = null;
+    }
+
+    getCurrentStep() {
+        return GESTURE_TUNING_STEPS[this.stepIndex] || null;
+    }
+
+    /**
+     * @param {Object} frame - SensorFrameParser のフレーム（平滑化済み・間引き前）
+     */
+    addFrame(frame) {
+        if (!this.isActive) return;
+
+        const now = typeof frame.sampleTime === 'number' ? frame.sampleTime : frame.timestamp;
+        const aMag = frame.a_mag;
+        const rise = this.lastAMag !== null && now > this.lastFrameTime
+            ? (aMag - this.lastAMag) * this.FRAME_INTERVAL_MS / (now - this.lastFrameTime)
+            : 0;
+        this.lastAMag = aMag;
+        this.lastFrameTime = now;
+
+        const step = this.getCurrentStep();
+        if (step.type === 'idle') {
+            this.updateIdle(frame, now, rise, step);
+        } else {
+            this.updateMotion(frame, now, rise, step);
+        }
+    }
+
+    updateIdle(frame, now, rise, step) {
+        // 直前の動作の揺り戻しが収まってから計り始める
+        if (now < this.settleUntil) return;
+        if (this.stepStartTime === null) {
+            this.stepStartTime = now;
+            this.idleSample = { peakAMag: 0, maxRise: 0, peakOmega: null };
+        }
+
+        const sample = this.idleSample;
+        sample.peakAMag = Math.max(sample.peakAMag, frame.a_mag);
+        sample.maxRise = Math.max(sample.maxRise, rise);
+        const omega = MotionKinematics.getAngularSpeed(frame);
+        if (omega !== null) sample.peakOmega = Math.max(sample.peakOmega || 0, omega);
+
+        if (now - this.stepStartTime >= step.durationMs) {
+            this.samples.idle.push(sample);
+            this.advance();
+        }
+    }
+
+    updateMotion(frame, now, rise, step) {
+        const aMag = frame.a_mag;
+        if (!this.segment) {
+            if (aMag < this.getMotionThreshold()) return;
+            this.segment = {
+                startTime: now,
+                lastAboveTime: now,
+                points: [],
+                peakAMag: 0,
+                maxRise: 0,
+                peakOmega: null,
+                isRebound: now < this.settleUntil
+            };
+        }
+
+        const segment = this.segment;
+        segment.points.push({ pitch: frame.pitch_deg, yaw: frame.yaw_deg, aMag, rise, timestamp: now });
+        segment.peakAMag = Math.max(segment.peakAMag, aMag);
+        segment.maxRise = Math.max(segment.maxRise, rise);
+        const omega = MotionKinematics.getAngularSpeed(frame);
+        if (omega !== null) segment.peakOmega = Math.max(segment.peakOmega || 0, omega);
+        if (aMag >= this.getMotionThreshold()) segment.lastAboveTime = now;
+
+        if (now - segment.lastAboveTime >= this.MOTION_END_HOLD_MS ||
+            now - segment.startTime >= this.MAX_SEGMENT_MS[step.type]) {
+            this.finishSegment(step);
+        }
+    }
+
+    finishSegment(step) {
+        const segment = this.segment;
+        this.segment = null;
+
+        if (segment.isRebound) {
+            if (step.type === 'slash' && this.lastSlashEnd !== null) {
+                this.rebounds.push(segment.lastAboveTime - this.lastSlashEnd);
+            }
+            return;
+        }
+        if (segment.lastAboveTime - segment.startTime < this.MOTION_MIN_MS) return;
+
+        const points = segment.points.filter(point => point.timestamp <= segment.lastAboveTime);
+        this.samples[step.type].push({
+            peakAMag: segment.peakAMag,
+            maxRise: segment.maxRise,
+            peakOmega: segment.peakOmega,
+            points
+        });
+        if (step.type === 'slash') this.lastSlashEnd = segment.lastAboveTime;
+        this.settleUntil = segment.lastAboveTime + this.SETTLE_MS;
+
+        this.stepSampleCount++;
+        if (this.stepSampleCount >= step.count) {
+            this.advance();
+        } else {
+            this.emitPrompt();
+        }
+    }
+
+    advance() {
+        this.stepIndex++;
+        this.stepStartTime = null;
+        this.stepSampleCount = 0;
+
+        if (this.stepIndex < GESTURE_TUNING_STEPS.length) {
+            this.emitPrompt();
+            return;
+        }
+
+        this.isActive = false;
+        const profile = this.fitProfile();
+        if (!profile) {
+            this.start(this.rejectionReason);
+            return;
+        }
+        if (this.onComplete) this.onComplete(profile);
+    }
+
+    emitPrompt() {
+        const step = this.getCurrentStep();
+        if (!step || !this.onPromptChanged) return;
+
+        let text = step.type === 'idle'
+            ? `${step.label}（${step.durationMs / 1000}秒）`
+            : `${step.label} (${this.stepSampleCount + 1}/${step.count})`;
+        if (this.retryReason && this.stepIndex === 0) {
+            text = `${this.retryReason}。やり直し: ${text}`;
+        }
+        this.onPromptChanged({ type: step.type, text, stepIndex: this.stepIndex, stepCount: GESTURE_TUNING_STEPS.length });
+    }
+
+    getMotionThreshold() {
+        const idlePeak = Math.max(0, ...this.samples.idle.map(sample => sample.peakAMag));
+        return Math.max(this.MOTION_MIN_START_G, idlePeak + this.MOTION_NOISE_MARGIN_G);
+    }
+
+    /**
+     * サンプルから閾値を求める
+     * - 開始加速度は一番弱い動作の 75%（静止中の揺れより 0.15g 以上高く）。立ち上がりは開始加速度を超えた瞬間の値の半分
+     * - 強さ 1.0 の加速度は斬撃のピークの中央値
+     * - 開始加速度を超えている区間で、最短時間は一番短い斬撃の半分、分割角度は1回の斬撃の中で曲がった最大角度 + 15°
+     * - 円は一番小さい円の面積の 50%・一番欠けた円の角度範囲 - 40°・一番開いた円の閉じ具合の 1.3 倍
+     * 静止中の揺れ + 0.15g が開始加速度の上限を超える、またはどれかの動作が開始加速度に届かない場合は
+     * 誤検出・取りこぼしになるため null（理由は rejectionReason）
+     * @returns {Object|null} プロファイル
+     */
+    fitProfile() {
+        const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+        const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+        const minOf = (values) => Math.min(...values);
+        const maxOf = (values, fallback = 0) => (values.length > 0 ? Math.max(...values) : fallback);
+
+        const idle = this.samples.idle;
+        const slashes = this.samples.slash;
+        const circles = this.samples.circle;
+        const motions = [...slashes, ...circles];
+
+        const idlePeak = maxOf(idle.map(sample => sample.peakAMag));
+        const idleRise = maxOf(idle.map(sample => sample.maxRise));
+        const idleOmega = maxOf(idle.map(sample => sample.peakOmega).filter(value => value !== null));
+
+        const aStartMin = Math.max(0.3, idlePeak + 0.15);
+        const aStartMax = 0.9;
+        if (aStartMin > aStartMax) {
+            this.rejectionReason = '静止中の揺れが大きすぎます';
+            return null;
+        }
+        const aStart = clamp(0.75 * minOf(motions.map(sample => sample.peakAMag)), aStartMin, aStartMax);
+        const activeSlashes = slashes.map(sample => this.getActivePoints(sample.points, aStart));
+        if (motions.some(sample => sample.peakAMag < aStart) || activeSlashes.some(points => points.length < 2)) {
+            this.rejectionReason = '振りが弱すぎます。もう少し強く';
+            return null;
+        }
+        const crossingRises = motions.map(sample => {
+            const crossing = sample.points.find(point => point.aMag >= aStart);
+            return crossing ? crossing.rise : sample.maxRise;
+        });
+        const swing = {
+            A_START: round(aStart),
+            A_END: round(aStart),
+            DA_START: round(clamp(0.5 * minOf(crossingRises), Math.max(0.04, idleRise), 0.3)),
+            A_MAX: round(clamp(this.median(slashes.map(sample => sample.peakAMag)), aStart + 0.2, 2.5)),
+            T_MIN: Math.round(clamp(0.5 * minOf(activeSlashes.map(points => this.getDuration(points))), 30, 100)),
+            SHARP_TURN_ANGLE_DEG: Math.round(clamp(maxOf(activeSlashes.map(points => this.maxTurnAngle(points))) + 15, 135, 170))
+        };
+        const slashOmegas = slashes.map(sample => sample.peakOmega).filter(value => value !== null);
+        if (slashOmegas.length > 0) {
+            swing.OMEGA_START = Math.round(clamp(0.6 * minOf(slashOmegas), Math.max(60, idleOmega * 1.5), 200));
+        }
+        if (this.rebounds.length > 0) {
+            swing.T_COOLDOWN = Math.round(clamp(maxOf(this.rebounds) + 60, 220, 600));
+        }
+
+        const metrics = circles.map(sample => this.calculateCircleMetrics(sample.points));
+        const minArea = clamp(0.5 * minOf(metrics.map(m => m.area)), 30, 150);
+        const minCoverage = clamp(minOf(metrics.map(m => m.angleCoverage)) - 40, 180, 300);
+        const circle = {
+            A_START: swing.A_START,
+            A_END: swing.A_END,
+            DA_START: swing.DA_START,
+            CIRCLE_MAX_CLOSURE: Math.round(clamp(1.3 * maxOf(metrics.map(m => m.closure)), 30, 60)),
+            CIRCLE_MIN_AXIS_RANGE: Math.round(clamp(0.5 * minOf(metrics.map(m => Math.min(m.pitchRange, m.yawRange))), 4, 12)),
+            CIRCLE_MIN_AREA: Math.round(minArea),
+            CIRCLE_MIN_ANGLE_COVERAGE: Math.round(minCoverage),
+            CIRCLE_CANDIDATE_MIN_AREA: Math.round(Math.max(20, minArea / 2)),
+            CIRCLE_CANDIDATE_MIN_ANGLE_COVERAGE: Math.round(Math.max(90, minCoverage / 2))
+        };
+
+        return {
+            version: GESTURE_PROFILE_VERSION,
+            createdAt: Date.now(),
+            swing,
+            circle,
+            samples: { slashes: slashes.length, circles: circles.length }
+        };
+    }
+
+    calculateCircleMetrics(points) {
+        const recognizer = this.circleMetrics;
+        const unwrapped = recognizer.unwrapPoints(points);
+        return recognizer.calculateMetricsForPoints(recognizer.downsamplePoints(unwrapped, recognizer.MAX_ANALYSIS_POINTS));
+    }
+
+    /**
+     * 検出器が斬撃として見る区間（最初に threshold を超えてから最後に超えているまで）
+     */
+    getActivePoints(points, threshold) {
+        const first = points.findIndex(point => point.aMag >= threshold);
+        if (first < 0) return [];
+        let last = points.length - 1;
+        while (last > first && points[last].aMag < threshold) last--;
+        return points.slice(first, last + 1);
+    }
+
+    getDuration(points) {
+        return points.length < 2 ? 0 : points[points.length - 1].timestamp - points[0].timestamp;
+    }
+
+    /**
+     * 軌跡の向きが一番大きく曲がった角度（SwingDetector の分割判定と同じく、一定距離ごとの移動ベクトルで比べる）
+     */
+    maxTurnAngle(points) {
+        if (points.length < 2) return 0;
+        let maxAngle = 0;
+        let anchor = points[0];
+        let previous = null;
+
+        for (let i = 1; i < points.length; i++) {
+            const dx = this.unwrapAngle(points[i].yaw - anchor.yaw);
+            const dy = points[i].pitch - anchor.pitch;
+            if (Math.sqrt(dx * dx + dy * dy) < this.TURN_VECTOR_MIN_DEG) continue;
+
+            if (previous) {
+                const angle = Math.abs(Math.atan2(previous.x * dy - previous.y * dx, previous.x * dx + previous.y * dy)) * 180 / Math.PI;
+                maxAngle = Math.max(maxAngle, angle);
+            }
+            previous = { x: dx, y: dy };
+            anchor = points[i];
+        }
+        return maxAngle;
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * 結果画面用の短い説明
+     */
+    describeProfile(profile) {
+        const { swing, circle } = profile;
+        return `斬撃 開始 ${swing.A_START.toFixed(2)}g / 最短 ${swing.T_MIN}ms・円 面積 ${circle.CIRCLE_MIN_AREA} / 角度 ${circle.CIRCLE_MIN_ANGLE_COVERAGE}°`;
+    }
+
+    unwrapAngle(angle) {
+        while (angle > 180) angle -= 360;
+        while (angle < -180) angle += 360;
+        return angle;
+    }
+}
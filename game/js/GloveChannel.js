@@ -0,0 +1,86 @@
+/**
+ * GloveChannel.js
+ * グローブ1台分の解析パイプライン（通信・パース・平滑化・動作解釈・触覚・flags）をまとめるクラス
+ *
+ * 両手持ちでは左右それぞれに1つずつ持ち、キャリブレーションや触覚送信も独立させる。
+ */
+
+import { SensorFrameParser } from './SensorFrameParser.js';
+import { MotionFilterStage } from './MotionFilterStage.js';
+import { MotionKinematics } from './MotionKinematics.js';
+import { MotionInterpreter } from './MotionInterpreter.js';
+import { HapticScheduler } from './HapticScheduler.js';
+import { ControllerFlagsMonitor } from './ControllerFlagsMonitor.js';
+
+export const GLOVE_HANDS = ['right', 'left'];
+
+export class GloveChannel {
+    /**
+     * @param {'right'|'left'} hand
+     */
+    constructor(hand) {
+        this.hand = hand;
+        this.transport = null;
+
+        this.parser = new SensorFrameParser();
+        this.filterStage = new MotionFilterStage();
+        this.motionInterpreter = new MotionInterpreter();
+        this.hapticScheduler = new HapticScheduler();
+        this.controllerFlags = new ControllerFlagsMonitor();
+
+        this.latestFrame = null;
+        this.idlePose = null; // 最後に静止していたときの生の姿勢（キャリブレーションの保存・照合用）
+        this.lastMotionProcessTime = 0;
+
+        this.IDLE_MAX_ANGULAR_SPEED_DPS = 30;
+    }
+
+    /**
+     * 通信手段を割り当てる（以前の通信手段のコールバックは呼び出し側で外すこと）
+     * @param {ControllerTransport|null} transport
+     */
+    attach(transport) {
+        this.transport = transport;
+        this.hapticScheduler.setTransport(transport);
+        this.controllerFlags.reset();
+        this.parser.resetStats();
+        this.filterStage.reset();
+        this.latestFrame = null;
+        this.idlePose = null;
+        this.lastMotionProcessTime = 0;
+    }
+
+    isConnected() {
+        return !!this.transport && this.transport.isConnected;
+    }
+
+    /**
+     * キャリブレーションの保存キー（見分けられない通信手段では通信手段と手で代用）
+     */
+    getControllerId() {
+        if (!this.transport) return null;
+        return this.transport.getControllerId() || `${this.transport.transportType}:${this.hand}`;
+    }
+
+    /**
+     * 1回の通知をパース・平滑化して flags を更新する（動作解釈は呼び出し側が間引いて update する）
+     * @returns {Object[]} frames - バッチ通知なら複数
+     */
+    parse(data) {
+        // 平滑化は間引かれるフレームにも通す（フィルタの状態を連続させる）
+        const frames = this.parser.parseFrames(data).map(frame => this.filterStage.apply(frame));
+        frames.forEach(frame => {
+            this.latestFrame = frame;
+            this.controllerFlags.update(frame);
+            this.updateIdlePose(frame);
+        });
+        return frames;
+    }
+
+    updateIdlePose(frame) {
+        if (this.motionInterpreter.swingDetector.state !== 'Idle') return;
+        const angularSpeed = MotionKinematics.getAngularSpeed(frame);
+        if (angularSpeed !== null && angularSpeed >= this.IDLE_MAX_ANGULAR_SPEED_DPS) return;
+        this.idlePose = { pitch: frame.pitch_deg, yaw: frame.yaw_deg, roll: frame.roll_deg };
+    }
+}
@@ -0,0 +1,230 @@
+/**
+ * HapticPatternLibrary.js
+ * 名前付き触覚パターン（データ定義）を、グローブが解釈する2バイトコマンド列へコンパイルするクラス
+ *
+ * パターン定義:
+ *   {
+ *     steps: [
+ *       { type: 'pulse', strength: 0-255, durationMs },
+ *       { type: 'gap', durationMs },                               // 無振動
+ *       { type: 'ramp', from, to, durationMs, steps }              // 強度を段階的に変化
+ *     ],
+ *     repeat: 1,        // steps の繰り返し回数
+ *     repeatGapMs: 0    // 繰り返しの間の無振動時間
+ *   }
+ * 文字列を指定すると別パターンの別名になる（例: circle_freeze_empty: 'enemy_defeated'）。
+ *
+ * コンパイル結果: [{ strength, duration(10ms単位), atMs(パターン開始からの送信時刻) }, ...]
+ */
+
+export const HAPTIC_DURATION_UNIT_MS = 10;
+
+// コマンド送信の最小間隔（ControllerTransport.HAPTIC_MIN_INTERVAL と同じ）
+const MIN_COMMAND_INTERVAL_MS = 100;
+
+// 強度は 0-255 の数値（欠けた・綴りを誤った項目は NaN になり振動しないため弾く）
+function isStrength(value) {
+    return Number.isFinite(value) && value >= 0 && value <= 255;
+}
+
+// 省略可能な回数・時間（指定するなら 0 以上の数値）
+function isOptionalNumber(value) {
+    return value === undefined || (Number.isFinite(value) && value >= 0);
+}
+
+export const DEFAULT_HAPTIC_PATTERNS = {
+    normal_hit: {
+        steps: [{ type: 'pulse', strength: 200, durationMs: 60 }]
+    },
+    critical_hit: {
+        steps: [{ type: 'pulse', strength: 200, durationMs: 60 }],
+        repeat: 2,
+        repeatGapMs: 40
+    },
+    enemy_defeated: {
+        steps: [{ type: 'pulse', strength: 120, durationMs: 40 }]
+    },
+    // 断続的に3回振動
+    player_damage: {
+        steps: [{ type: 'pulse', strength: 255, durationMs: 120 }],
+        repeat: 3,
+        repeatGapMs: 120
+    },
+    power_mode: {
+        steps: [{ type: 'pulse', strength: 220, durationMs: 100 }],
+        repeat: 2,
+        repeatGapMs: 80
+    },
+    ofuda_success: {
+        steps: [{ type: 'pulse', strength: 180, durationMs: 150 }]
+    },
+    circle_freeze: {
+        steps: [
+            { type: 'pulse', strength: 180, durationMs: 80 },
+            { type: 'gap', durationMs: 70 },
+            { type: 'pulse', strength: 120, durationMs: 60 }
+        ]
+    },
+    circle_freeze_empty: {
+        steps: [{ type: 'pulse', strength: 80, durationMs: 50 }]
+    },
+    // 印の成立: 弱→強の2段
+    seal_detected: {
+        steps: [
+            { type: 'pulse', strength: 140, durationMs: 60 },
+            { type: 'gap', durationMs: 60 },
+            { type: 'pulse', strength: 230, durationMs: 120 }
+        ]
+    },
+    // 両手同時斬り: 左右のグローブで同時に強く2回
+    two_hand_slash: {
+        steps: [{ type: 'pulse', strength: 230, durationMs: 70 }],
+        repeat: 2,
+        repeatGapMs: 50
+    }
+};
+
+export class HapticPatternLibrary {
+    constructor(patterns = DEFAULT_HAPTIC_PATTERNS) {
+        this.patterns = new Map();
+        this.compiled = new Map();
+        this.MAX_ALIAS_DEPTH = 8;
+
+        for (const name in patterns) {
+            this.define(name, patterns[name]);
+        }
+    }
+
+    /**
+     * パターンを登録（同名は上書き）
+     * @param {string} name
+     * @param {Object|string} definition - パターン定義、または別名の参照先
+     */
+    define(name, definition) {
+        if (typeof definition !== 'string') {
+            this.validate(name, definition);
+        }
+        this.patterns.set(name, definition);
+        this.compiled.clear();
+    }
+
+    has(name) {
+        return this.patterns.has(name);
+    }
+
+    getPatternNames() {
+        return Array.from(this.patterns.keys());
+    }
+
+    /**
+     * 設定オブジェクトの patterns でパターンを上書き
+     * @param {Object} settings - { patterns: { name: definition, ... } }
+     */
+    applyOverrides(settings = {}) {
+        const patterns = settings.patterns || {};
+        // 1つでも不正なら何も上書きしない
+        for (const name in patterns) {
+            if (typeof patterns[name] !== 'string') this.validate(name, patterns[name]);
+        }
+        for (const name in patterns) {
+            this.define(name, patterns[name]);
+        }
+    }
+
+    /**
+     * 設定ファイル（JSON）を読み込んで上書き。ファイルが無い・不正な場合は既定のまま
+     * @param {string} url
+     * @returns {Promise<boolean>} 上書きできたか
+     */
+    async loadOverrides(url) {
+        try {
+            const resp = await fetch(url, { cache: 'no-cache' });
+            if (!resp.ok) return false;
+            this.applyOverrides(await resp.json());
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    validate(name, definition) {
+        if (!definition || !Array.isArray(definition.steps) || definition.steps.length === 0) {
+            throw new Error(`触覚パターン ${name} の steps が不正です`);
+        }
+        definition.steps.forEach(step => {
+            if (!step || !['pulse', 'gap', 'ramp'].includes(step.type) || !(step.durationMs > 0) ||
+                (step.type === 'pulse' && !isStrength(step.strength)) ||
+                (step.type === 'ramp' && (!isStrength(step.from) || !isStrength(step.to) ||
+                    !isOptionalNumber(step.steps)))) {
+                throw new Error(`触覚パターン ${name} に不正なステップがあります: ${JSON.stringify(step)}`);
+            }
+        });
+        if (!isOptionalNumber(definition.repeat) || !isOptionalNumber(definition.repeatGapMs)) {
+            throw new Error(`触覚パターン ${name} の repeat / repeatGapMs が不正です`);
+        }
+    }
+
+    /**
+     * 名前付きパターンを2バイトコマンド列にコンパイル
+     * @param {string} name
+     * @returns {Array|null} [{ strength, duration, atMs }, ...]（未定義なら null）
+     */
+    compile(name) {
+        if (this.compiled.has(name)) return this.compiled.get(name);
+
+        const definition = this.resolve(name);
+        if (!definition) return null;
+
+        const commands = [];
+        const repeat = Math.max(1, Math.floor(definition.repeat || 1));
+        let t = 0;
+
+        for (let r = 0; r < repeat; r++) {
+            if (r > 0) t += definition.repeatGapMs || 0;
+            definition.steps.forEach(step => {
+                t = this.compileStep(step, t, commands);
+            });
+        }
+
+        this.compiled.set(name, commands);
+        return commands;
+    }
+
+    resolve(name) {
+        let definition = this.patterns.get(name);
+        for (let depth = 0; typeof definition === 'string' && depth < this.MAX_ALIAS_DEPTH; depth++) {
+            definition = this.patterns.get(definition);
+        }
+        return typeof definition === 'object' ? definition : null;
+    }
+
+    compileStep(step, t, commands) {
+        if (step.type === 'gap') {
+            return t + step.durationMs;
+        }
+
+        if (step.type === 'pulse') {
+            commands.push(this.createCommand(step.strength, step.durationMs, t));
+            return t + step.durationMs;
+        }
+
+        // ramp: 送信レート制限を超えない段数に分割
+        const maxSteps = Math.max(1, Math.floor(step.durationMs / MIN_COMMAND_INTERVAL_MS));
+        const count = Math.max(1, Math.min(step.steps || maxSteps, maxSteps));
+        const stepMs = step.durationMs / count;
+        for (let i = 0; i < count; i++) {
+            const ratio = count === 1 ? 1 : i / (count - 1);
+            const strength = step.from + (step.to - step.from) * ratio;
+            commands.push(this.createCommand(strength, stepMs, t + stepMs * i));
+        }
+        return t + step.durationMs;
+    }
+
+    createCommand(strength, durationMs, atMs) {
+        return {
+            strength: Math.min(255, Math.max(0, Math.round(strength))),
+            duration: Math.min(255, Math.max(1, Math.round(durationMs / HAPTIC_DURATION_UNIT_MS))),
+            atMs: Math.round(atMs)
+        };
+    }
+}
@@ -0,0 +1,215 @@
+/**
+ * HapticScheduler.js
+ * 触覚イベントを仕様 §12.3 の優先度で送信するクラス
+ *
+ * - 高優先度のイベントは送信中の低優先度パターンを中断し、低優先度の未送信分を破棄する
+ * - 同種のイベントが送信中／待機中なら1回に集約する
+ * - 低優先度のイベントは待機させ、HAPTIC_MAX_WAIT_MS を過ぎたら破棄する
+ * パルスは HapticPatternLibrary がコンパイルした atMs（パターン開始からの時刻）に合わせて送る。
+ * 実際の書き込みとレート制限（最大10コマンド/秒）は ControllerTransport が行う。
+ */
+
+// 優先度（大きいほど高い）: 被弾 > 術成立・強化開始 > クリティカル > 斬撃命中 > 撃破・術失敗
+export const HAPTIC_PRIORITY = {
+    player_damage: 5,
+    power_mode: 4,
+    ofuda_success: 4,
+    circle_freeze: 4,
+    seal_detected: 4,
+    critical_hit: 3,
+    two_hand_slash: 3,
+    normal_hit: 2,
+    enemy_defeated: 1,
+    circle_freeze_empty: 1
+};
+
+export class HapticScheduler {
+    constructor() {
+        this.transport = null;
+        this.active = null; // 送信中のパターン
+        this.queue = [];    // 未開始のパターン（優先度の高い順）
+        this.timer = null;
+        this.isSending = false;
+
+        this.DEFAULT_PRIORITY = 1;
+        this.HAPTIC_MAX_WAIT_MS = 300;
+
+        // 統計
+        this.sentPulseCount = 0;
+        this.failedPulseCount = 0;
+        this.preemptedCount = 0;
+        this.coalescedCount = 0;
+        this.droppedCount = 0;
+    }
+
+    /**
+     * 送信先のトランスポートを設定（切り替え時は未送信分を破棄）
+     * @param {ControllerTransport} transport
+     */
+    setTransport(transport) {
+        this.clear();
+        this.transport = transport;
+    }
+
+    getPriority(type) {
+        return HAPTIC_PRIORITY[type] ?? this.DEFAULT_PRIORITY;
+    }
+
+    /**
+     * 触覚イベントを登録（CombatSystem.onHapticEvent の形式）
+     * @param {Object} event - { type, pulses: HapticPatternLibrary.compile() の結果 }
+     * @returns {boolean} 送信予定に入ったか
+     */
+    enqueue(event) {
+        if (!this.transport || !this.transport.isConnected) return false;
+
+        const pattern = this.createPattern(event);
+
+        // 同種イベントの集約
+        if ((this.active && this.active.type === pattern.type) || this.queue.some(p => p.type === pattern.type)) {
+            this.coalescedCount++;
+            return false;
+        }
+
+        // 送信中の低優先度パターンを中断
+        if (this.active && pattern.priority > this.active.priority) {
+            this.active = null;
+            this.preemptedCount++;
+        }
+
+        // 低優先度の未送信分を破棄
+        const queuedCount = this.queue.length;
+        this.queue = this.queue.filter(p => p.priority >= pattern.priority);
+        this.droppedCount += queuedCount - this.queue.length;
+
+        // 同じ優先度の中では到着順
+        this.queue.push(pattern);
+        this.pump();
+        return true;
+    }
+
+    createPattern(event) {
+        return {
+            type: event.type,
+            priority: this.getPriority(event.type),
+            pulses: event.pulses || [],
+            index: 0,
+            enqueuedAt: performance.now(),
+            startedAt: 0
+        };
+    }
+
+    /**
+     * 次のパルスを送れるなら送り、送れなければ送信可能時刻にタイマーを張る
+     */
+    pump() {
+        if (this.isSending) return;
+        if (!this.transport || !this.transport.isConnected) {
+            this.clear();
+            return;
+        }
+
+        const now = performance.now();
+        if (!this.active) {
+            this.active = this.takeNextPattern(now);
+            if (!this.active) return;
+        }
+        if (this.active.pulses.length === 0) {
+            this.active = null;
+            this.pump();
+            return;
+        }
+
+        const pattern = this.active;
+        const pulse = pattern.pulses[pattern.index];
+        const slotAt = Math.max(
+            pattern.index > 0 ? pattern.startedAt + (pulse.atMs || 0) : 0,
+            this.transport.lastHapticSendTime + this.transport.HAPTIC_MIN_INTERVAL
+        );
+        if (now < slotAt) {
+            this.schedulePump(slotAt - now);
+            return;
+        }
+
+        if (pattern.index === 0 && this.isStale(pattern, now)) {
+            this.active = null;
+            this.droppedCount++;
+            this.pump();
+            return;
+        }
+
+        if (pattern.index === 0) {
+            pattern.startedAt = now;
+        }
+        pattern.index++;
+        if (pattern.index >= pattern.pulses.length) {
+            this.active = null;
+        }
+        this.sendPulse(pulse);
+    }
+
+    takeNextPattern(now) {
+        while (this.queue.length > 0) {
+            const pattern = this.queue.shift();
+            if (!this.isStale(pattern, now)) {
+                return pattern;
+            }
+            this.droppedCount++;
+        }
+        return null;
+    }
+
+    isStale(pattern, now) {
+        // 待たされすぎたイベントは動作とずれて感じられるので送らない
+        return now - pattern.enqueuedAt > this.HAPTIC_MAX_WAIT_MS;
+    }
+
+    async sendPulse(pulse) {
+        this.isSending = true;
+        let sent = false;
+        try {
+            sent = await this.transport.sendHapticCommand(pulse.strength, pulse.duration);
+        } catch (e) { }
+        this.isSending = false;
+
+        if (sent) {
+            this.sentPulseCount++;
+        } else {
+            this.failedPulseCount++;
+        }
+        this.pump();
+    }
+
+    schedulePump(delayMs) {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.pump();
+        }, Math.max(0, delayMs));
+    }
+
+    /**
+     * 未送信分をすべて破棄
+     */
+    clear() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.droppedCount += this.queue.length + (this.active ? 1 : 0);
+        this.queue = [];
+        this.active = null;
+    }
+
+    getStats() {
+        return {
+            activeType: this.active ? this.active.type : null,
+            queueLength: this.queue.length,
+            sentPulseCount: this.sentPulseCount,
+            failedPulseCount: this.failedPulseCount,
+            preemptedCount: this.preemptedCount,
+            coalescedCount: this.coalescedCount,
+            droppedCount: this.droppedCount
+        };
+    }
+}
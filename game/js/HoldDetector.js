@@ -0,0 +1,62 @@
+/**
+ * HoldDetector.js
+ * 構え（腕を止めて静止する）を検出するクラス。コンボの 'hold' トークンになる
+ *
+ * 加速度が MAX_A_MAG 以下、角速度が MAX_ANGULAR_SPEED_DPS 以下で、斬撃の検出が待機中の状態が
+ * MIN_DURATION_MS 続いたら1回だけ構えとする。次の構えは一度動いてから。
+ */
+
+import { MotionKinematics } from './MotionKinematics.js';
+
+export class HoldDetector {
+    constructor() {
+        this.MAX_A_MAG = 0.15;              // g
+        this.MAX_ANGULAR_SPEED_DPS = 30;
+        this.MIN_DURATION_MS = 800;
+        this.MAX_DT_MS = 100;
+
+        this.reset();
+
+        // Callbacks
+        this.onHoldDetected = null;
+    }
+
+    /**
+     * @param {Object} frame - SensorFrameParser のフレーム
+     * @param {number} now - サンプル時刻 (ms)
+     * @param {{pitch: number, yaw: number}} relativePYR - 基準で補正した姿勢
+     * @param {boolean} isIdle - スイング検出が待機中か
+     */
+    update(frame, now, relativePYR, isIdle) {
+        const dt = this.lastTime === null ? 0 : Math.min(this.MAX_DT_MS, Math.max(0, now - this.lastTime));
+        this.lastTime = now;
+        // 角速度の無いフレーム（euler15）は前フレームとの姿勢差から求める
+        const angularSpeed = MotionKinematics.getAngularSpeed(frame, this.lastFrame, dt) ?? 0;
+        this.lastFrame = frame;
+
+        if (!isIdle || (frame.a_mag ?? 0) > this.MAX_A_MAG || angularSpeed > this.MAX_ANGULAR_SPEED_DPS) {
+            this.stillStartTime = null;
+            this.hasFired = false;
+            return;
+        }
+        if (this.stillStartTime === null) this.stillStartTime = now;
+        if (this.hasFired || now - this.stillStartTime < this.MIN_DURATION_MS) return;
+
+        this.hasFired = true;
+        if (this.onHoldDetected) {
+            this.onHoldDetected({
+                pitch: relativePYR.pitch,
+                yaw: relativePYR.yaw,
+                durationMs: now - this.stillStartTime,
+                timestamp: now
+            });
+        }
+    }
+
+    reset() {
+        this.stillStartTime = null;
+        this.hasFired = false;
+        this.lastTime = null;
+        this.lastFrame = null;
+    }
+}
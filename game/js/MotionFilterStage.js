@@ -0,0 +1,142 @@
+/**
+ * MotionFilterStage.js
+ * SensorFrameParser と MotionInterpreter の間に入る平滑化段
+ *
+ * - orientation: pitch/yaw/roll に 1€ フィルタ（±180° の境界は連続化してから平滑化）
+ * - acceleration: ax/ay/az に一次ローパス（a_mag は平滑化後の値から求め直す）
+ *
+ * それぞれ個別に ON/OFF できる。クォータニオンと派生量（角速度・線形加速度）は生の値のまま。
+ * 検出器の閾値は生の値で調整されているため、既定ではどちらも OFF。
+ */
+
+import { OneEuroFilter } from './OneEuroFilter.js';
+
+export const DEFAULT_MOTION_FILTER_CONFIG = {
+    orientation: { enabled: false, minCutoff: 1.0, beta: 0.05, dCutoff: 1.0 },
+    acceleration: { enabled: false, cutoffHz: 15 }
+};
+
+const ANGLE_FIELDS = ['pitch_deg', 'yaw_deg', 'roll_deg'];
+const ACCEL_FIELDS = ['ax_g', 'ay_g', 'az_g'];
+
+export class MotionFilterStage {
+    constructor(config = {}) {
+        this.config = {
+            orientation: { ...DEFAULT_MOTION_FILTER_CONFIG.orientation },
+            acceleration: { ...DEFAULT_MOTION_FILTER_CONFIG.acceleration }
+        };
+        this.angleFilters = {};
+        ANGLE_FIELDS.forEach(field => {
+            this.angleFilters[field] = new OneEuroFilter(this.config.orientation);
+        });
+
+        this.reset();
+        this.setConfig(config);
+    }
+
+    /**
+     * 設定の一部を変更する（変更した段の状態は初期化）
+     * @param {Object} config - { orientation: {...}, acceleration: {...} }
+     */
+    setConfig(config = {}) {
+        if (config.orientation) {
+            this.config.orientation = { ...this.config.orientation, ...config.orientation };
+            ANGLE_FIELDS.forEach(field => {
+                const filter = this.angleFilters[field];
+                filter.minCutoff = this.config.orientation.minCutoff;
+                filter.beta = this.config.orientation.beta;
+                filter.dCutoff = this.config.orientation.dCutoff;
+            });
+            this.resetOrientation();
+        }
+        if (config.acceleration) {
+            this.config.acceleration = { ...this.config.acceleration, ...config.acceleration };
+            this.resetAcceleration();
+        }
+    }
+
+    getConfig() {
+        return {
+            orientation: { ...this.config.orientation },
+            acceleration: { ...this.config.acceleration }
+        };
+    }
+
+    reset() {
+        this.resetOrientation();
+        this.resetAcceleration();
+    }
+
+    resetOrientation() {
+        ANGLE_FIELDS.forEach(field => this.angleFilters[field].reset());
+        this.lastAngles = null; // { field: { raw, unwrapped } }
+    }
+
+    resetAcceleration() {
+        this.lastAccel = null;
+        this.lastAccelTime = null;
+    }
+
+    /**
+     * @param {Object} frame - SensorFrameParser のフレーム
+     * @returns {Object} 平滑化したフレーム（元のフレームは変更しない）
+     */
+    apply(frame) {
+        const now = frame.sampleTime;
+        const filtered = { ...frame };
+
+        if (this.config.orientation.enabled) {
+            this.filterOrientation(frame, filtered, now);
+        }
+        if (this.config.acceleration.enabled) {
+            this.filterAcceleration(frame, filtered, now);
+        }
+        return filtered;
+    }
+
+    filterOrientation(frame, filtered, now) {
+        if (!this.lastAngles) {
+            this.lastAngles = {};
+            ANGLE_FIELDS.forEach(field => {
+                this.lastAngles[field] = { raw: frame[field], unwrapped: frame[field] };
+            });
+        }
+
+        ANGLE_FIELDS.forEach(field => {
+            const last = this.lastAngles[field];
+            const unwrapped = last.unwrapped + this.normalize180(frame[field] - last.raw);
+            this.lastAngles[field] = { raw: frame[field], unwrapped };
+            filtered[field] = this.normalize180(this.angleFilters[field].filter(unwrapped, now));
+        });
+    }
+
+    filterAcceleration(frame, filtered, now) {
+        if (!this.lastAccel) {
+            this.lastAccel = {};
+            ACCEL_FIELDS.forEach(field => {
+                this.lastAccel[field] = frame[field];
+            });
+            this.lastAccelTime = now;
+            return;
+        }
+
+        const dt = Math.max(0, now - this.lastAccelTime) / 1000;
+        this.lastAccelTime = now;
+        const tau = 1 / (2 * Math.PI * this.config.acceleration.cutoffHz);
+        const alpha = dt / (tau + dt);
+
+        ACCEL_FIELDS.forEach(field => {
+            this.lastAccel[field] += (frame[field] - this.lastAccel[field]) * alpha;
+            filtered[field] = this.lastAccel[field];
+        });
+        filtered.a_mag = Math.sqrt(
+            filtered.ax_g * filtered.ax_g + filtered.ay_g * filtered.ay_g + filtered.az_g * filtered.az_g
+        );
+    }
+
+    normalize180(angle) {
+        while (angle > 180) angle -= 360;
+        while (angle <= -180) angle += 360;
+        return angle;
+    }
+}
@@ -1,40 +1,64 @@
 /**
  * MotionInterpreter.js
- * キャリブレーション、スイング検出、円ジェスチャ検出、強化モード判定を統合
+ * キャリブレーション、スイング検出、円ジェスチャ検出、突き検出、印の照合、構え検出、コンボ判定を統合
+ * 斬撃・円・突き・構え・印をトークンとして ComboRecognizer に渡し、強化モードは 'power_mode' コンボで発動する
+ * 突きの判定が決まるまでは斬撃を保留し、突きと同じ動きから出た斬撃は捨てる
+ * 印を描いている間も斬撃・円を保留し、印が成立したらその画から出たものは捨てる
+ * ラウンド中は視線方向（setViewYaw）を使ってヨーのずれを少しずつ補正する
  */
 
 import { SwingDetector } from './SwingDetector.js';
 import { CircleGestureRecognizer } from './CircleGestureRecognizer.js';
+import { ThrustDetector } from './ThrustDetector.js';
+import { SealGestureRecognizer } from './SealGestureRecognizer.js';
+import { HoldDetector } from './HoldDetector.js';
+import { ComboRecognizer } from './ComboRecognizer.js';
+import { YawDriftCorrector } from './YawDriftCorrector.js';
 
 export class MotionInterpreter {
     constructor() {
         // Sub-modules
         this.swingDetector = new SwingDetector();
         this.circleRecognizer = new CircleGestureRecognizer();
+        this.thrustDetector = new ThrustDetector();
+        this.sealRecognizer = new SealGestureRecognizer();
+        this.holdDetector = new HoldDetector();
+        this.comboRecognizer = new ComboRecognizer();
+        this.yawDriftCorrector = new YawDriftCorrector();
 
         // Calibration
         // `pyr0` may hold partial axes (e.g. only `yaw`) when doing yaw-only reset
         this.pyr0 = {};
+        // 多点キャリブレーションで求めた角度の倍率（yaw は yawCentre を中心に掛ける）
+        this.pyrGain = { pitch: 1, yaw: 1, yawCentre: 0 };
         this.isCalibrated = false;
 
+        // 個人の閾値プロファイル（GestureProfileStore）。null なら既定値
+        this.gestureProfile = null;
+
         // Power Mode
         this.isPowerMode = false;
         this.powerModeEndTime = 0;
         this.POWER_MODE_DURATION = 10000;
-
-        // Power Mode Activation Logic
-        this.recentSwings = [];
-        this.POWER_SWING_WINDOW = 1200;
-        this.POWER_MIN_INTENSITY = 0.5;
+        // 強化モードを発動するコンボ（ComboRecognizer の定義名）
+        this.POWER_MODE_COMBO = 'power_mode';
 
         // Callbacks
         this.onSwingDetected = null;
         this.onCircleDetected = null;
+        this.onThrustDetected = null;
+        this.onSealDetected = null;
+        this.onHoldDetected = null;
+        this.onComboDetected = null;
         this.onPowerModeActivated = null;
         this.onSwingTracerUpdate = null;
         this.onSwingStarted = null;
         this.circleDetectedThisFrame = false;
         this.pendingSwingReset = false;
+        // 突きの判定待ちの斬撃
+        this.heldSwing = null;
+        // 印の判定待ちの斬撃・円 [{ type: 'swing' | 'circle', event }]
+        this.heldSealEvents = [];
 
         // Internal wiring
         this.setupDetectorCallbacks();
@@ -70,53 +94,187 @@ export class MotionInterpreter {
                 return;
             }
 
-            // Power Mode Check
-            this.recordSwingForPowerMode(swing.intensity, swing.timestamp);
+            // 突きと同じ動きなら小さな斬撃としては出さない
+            if (this.isThrustSwing(swing)) {
+                return;
+            }
+            if (this.thrustDetector.isCandidate()) {
+                this.heldSwing = swing;
+                return;
+            }
+
+            this.forwardSwing(swing);
+        };
 
-            // Forward event
-            if (this.onSwingDetected) {
-                this.onSwingDetected(swing);
+        // Thrust
+        this.thrustDetector.onThrustDetected = (thrust) => {
+            this.heldSwing = null;
+            this.comboRecognizer.addToken({ type: 'thrust', intensity: thrust.intensity, timestamp: thrust.timestamp });
+            if (this.onThrustDetected) {
+                this.onThrustDetected(thrust);
             }
         };
 
         // Circle
         this.circleRecognizer.onCircleDetected = (circle) => {
             this.circleDetectedThisFrame = true;
-            if (this.onCircleDetected) {
-                this.onCircleDetected(circle);
+            if (this.sealRecognizer.isDrawing()) {
+                this.heldSealEvents.push({ type: 'circle', event: circle });
+                return;
+            }
+            this.emitCircle(circle);
+        };
+
+        // Seal（描き終わってから照合する。成立したら描いている間に保留した斬撃・円を捨てる）
+        this.sealRecognizer.onSealDetected = (seal) => {
+            this.heldSealEvents = this.heldSealEvents.filter(held => !this.overlapsSeal(held, seal));
+            this.comboRecognizer.addToken({ type: 'seal', detail: seal.name, timestamp: seal.timestamp });
+            if (this.onSealDetected) {
+                this.onSealDetected(seal);
+            }
+        };
+
+        // Hold
+        this.holdDetector.onHoldDetected = (hold) => {
+            this.comboRecognizer.addToken({ type: 'hold', timestamp: hold.timestamp });
+            if (this.onHoldDetected) {
+                this.onHoldDetected(hold);
             }
         };
+
+        // Combo
+        this.comboRecognizer.onComboDetected = (combo) => {
+            if (combo.name === this.POWER_MODE_COMBO) {
+                this.activatePowerMode(combo.timestamp);
+            }
+            if (this.onComboDetected) {
+                this.onComboDetected(combo);
+            }
+        };
+    }
+
+    forwardSwing(swing) {
+        if (this.sealRecognizer.isDrawing()) {
+            this.heldSealEvents.push({ type: 'swing', event: swing });
+            return;
+        }
+        this.emitSwing(swing);
+    }
+
+    emitSwing(swing) {
+        this.comboRecognizer.addToken({
+            type: 'slash',
+            detail: swing.stroke ? swing.stroke.direction : null,
+            intensity: swing.intensity,
+            timestamp: swing.timestamp
+        });
+
+        // Forward event
+        if (this.onSwingDetected) {
+            this.onSwingDetected(swing);
+        }
+    }
+
+    emitCircle(circle) {
+        this.comboRecognizer.addToken({ type: 'circle', timestamp: circle.timestamp });
+        if (this.onCircleDetected) {
+            this.onCircleDetected(circle);
+        }
+    }
+
+    /**
+     * 描き終わった、または画を離した時点で印になっていなければ、保留した斬撃・円を順に出す
+     */
+    releaseHeldSealEvents() {
+        if (this.heldSealEvents.length === 0) return;
+        const seal = this.sealRecognizer;
+        if (seal.isDrawing() && (seal.isPenDown || seal.matchesCurrentDrawing())) return;
+
+        const held = this.heldSealEvents;
+        this.heldSealEvents = [];
+        held.forEach(({ type, event }) => (type === 'swing' ? this.emitSwing(event) : this.emitCircle(event)));
+    }
+
+    overlapsSeal(held, seal) {
+        const trajectory = held.event.trajectory;
+        const startTime = trajectory && trajectory.length ? trajectory[0].timestamp : held.event.timestamp;
+        return held.event.timestamp >= seal.startTime && startTime <= seal.timestamp;
     }
 
-    calibrate(pitch_deg, yaw_deg, roll_deg) {
+    isThrustSwing(swing) {
+        const startTime = swing.trajectory.length ? swing.trajectory[0].timestamp : swing.timestamp;
+        return this.thrustDetector.overlapsLastThrust(startTime, swing.timestamp);
+    }
+
+    /**
+     * @param {Object} [gain] - { pitch, yaw, yawCentre }（MultiPointCalibration.fit の gain）
+     */
+    calibrate(pitch_deg, yaw_deg, roll_deg, gain) {
         // Support partial calibration: only overwrite axes that are provided (numbers).
         if (!this.pyr0) this.pyr0 = {};
         if (typeof pitch_deg === 'number') this.pyr0.pitch = pitch_deg;
         if (typeof yaw_deg === 'number') this.pyr0.yaw = yaw_deg;
         if (typeof roll_deg === 'number') this.pyr0.roll = roll_deg;
+        if (gain) this.pyrGain = { ...this.pyrGain, ...gain };
         this.isCalibrated = true;
+        this.yawDriftCorrector.reset();
         
     }
 
+    /**
+     * 基準角度と倍率を捨てる（次の calibrate は未指定の軸を補正しない）
+     */
+    clearCalibration() {
+        this.pyr0 = {};
+        this.pyrGain = { pitch: 1, yaw: 1, yawCentre: 0 };
+        this.isCalibrated = false;
+        this.yawDriftCorrector.reset();
+    }
+
     update(frame) {
-        const now = frame.timestamp;
+        // コントローラ時刻で補正したサンプル時刻（BLE の到着の偏りを含まない）
+        const now = typeof frame.sampleTime === 'number' ? frame.sampleTime : frame.timestamp;
 
         // 相対姿勢計算
-        const relativePYR = this.getRelativePYR(frame.pitch_deg, frame.yaw_deg, frame.roll_deg);
+        let relativePYR = this.getRelativePYR(frame.pitch_deg, frame.yaw_deg, frame.roll_deg);
+        if (this.isCalibrated && typeof this.pyr0.yaw === 'number') {
+            const isIdle = this.swingDetector.state === 'Idle';
+            const drift = this.yawDriftCorrector.update(frame, now, relativePYR, isIdle);
+            if (drift !== 0) {
+                this.pyr0.yaw = this.unwrapAngle(this.pyr0.yaw + drift);
+                relativePYR = this.getRelativePYR(frame.pitch_deg, frame.yaw_deg, frame.roll_deg);
+            }
+        }
 
         // Detectors update
         this.circleDetectedThisFrame = false;
         this.pendingSwingReset = false;
         this.circleRecognizer.update(frame, now);
+        // 印は円と独立に照合する（稲妻の折り返しが円と判定されても印の記録は続ける）
+        this.sealRecognizer.update(frame, now);
         if (this.circleDetectedThisFrame) {
             this.swingDetector.reset();
+            this.thrustDetector.reset();
+            this.heldSwing = null;
         } else {
+            // 突きを先に判定し、同じフレームで終わる斬撃が突きと重なるかを見られるようにする
+            this.thrustDetector.update(frame, now, relativePYR);
             this.swingDetector.update(frame, now, relativePYR);
             if (this.pendingSwingReset) {
                 this.swingDetector.reset();
             }
         }
 
+        // 突きにならなかったので保留していた斬撃を出す
+        if (this.heldSwing && !this.thrustDetector.isCandidate()) {
+            const swing = this.heldSwing;
+            this.heldSwing = null;
+            this.forwardSwing(swing);
+        }
+        this.releaseHeldSealEvents();
+
+        this.holdDetector.update(frame, now, relativePYR, this.swingDetector.state === 'Idle' && !this.thrustDetector.isCandidate());
+
         // Power Mode Update
         if (this.isPowerMode && now >= this.powerModeEndTime) {
             this.isPowerMode = false;
@@ -124,11 +282,31 @@ export class MotionInterpreter {
         }
     }
 
+    /**
+     * 検出器の閾値を調整プロファイルで上書きする（null で既定値に戻す）
+     * @param {Object|null} profile - { swing: {...}, circle: {...} }
+     */
+    setGestureProfile(profile) {
+        this.gestureProfile = profile || null;
+        this.swingDetector.applyProfile(profile ? profile.swing : null);
+        this.circleRecognizer.applyProfile(profile ? profile.circle : null);
+    }
+
+    /**
+     * @param {number|null} yaw - 端末の水平視線方向（deg）。ラウンド外は null
+     */
+    setViewYaw(yaw) {
+        this.yawDriftCorrector.setViewYaw(yaw);
+    }
+
     getRelativePYR(pitch, yaw, roll) {
         if (!this.isCalibrated) return { pitch, yaw, roll };
+        const gain = this.pyrGain;
         return {
-            pitch: (this.pyr0 && typeof this.pyr0.pitch === 'number') ? this.unwrapAngle(pitch - this.pyr0.pitch) : pitch,
-            yaw: (this.pyr0 && typeof this.pyr0.yaw === 'number') ? this.unwrapAngle(yaw - this.pyr0.yaw) : yaw,
+            pitch: (this.pyr0 && typeof this.pyr0.pitch === 'number') ? gain.pitch * this.unwrapAngle(pitch - this.pyr0.pitch) : pitch,
+            yaw: (this.pyr0 && typeof this.pyr0.yaw === 'number')
+                ? this.unwrapAngle(gain.yawCentre + gain.yaw * this.unwrapAngle(yaw - this.pyr0.yaw - gain.yawCentre))
+                : yaw,
             roll: (this.pyr0 && typeof this.pyr0.roll === 'number') ? this.unwrapAngle(roll - this.pyr0.roll) : roll
         };
     }
@@ -139,25 +317,12 @@ export class MotionInterpreter {
         return angle;
     }
 
-    recordSwingForPowerMode(intensity, now) {
-        // Filter old
-        this.recentSwings = this.recentSwings.filter(s => now - s.timestamp <= this.POWER_SWING_WINDOW);
+    activatePowerMode(now) {
+        this.isPowerMode = true;
+        this.powerModeEndTime = now + this.POWER_MODE_DURATION;
 
-        // Add new
-        this.recentSwings.push({ intensity, timestamp: now });
-
-        // Check activation
-        if (this.recentSwings.length >= 3) {
-            const avg = this.recentSwings.reduce((sum, s) => sum + s.intensity, 0) / this.recentSwings.length;
-            if (avg >= this.POWER_MIN_INTENSITY) {
-                this.isPowerMode = true;
-                this.powerModeEndTime = now + this.POWER_MODE_DURATION;
-                this.recentSwings = []; // Reset
-
-                if (this.onPowerModeActivated) {
-                    this.onPowerModeActivated({ timestamp: now });
-                }
-            }
+        if (this.onPowerModeActivated) {
+            this.onPowerModeActivated({ timestamp: now });
         }
     }
 
@@ -180,10 +345,30 @@ export class MotionInterpreter {
         return this.circleRecognizer.getDebugInfo();
     }
 
+    getSealDebugInfo() {
+        return this.sealRecognizer.getDebugInfo();
+    }
+
+    getComboDebugInfo() {
+        return {
+            tokens: this.comboRecognizer.describeTokens(),
+            lastCombo: this.comboRecognizer.lastCombo
+        };
+    }
+
+    getYawDriftDebugInfo() {
+        return this.yawDriftCorrector.getDebugInfo();
+    }
+
     reset() {
         this.swingDetector.reset();
         this.circleRecognizer.reset();
-        this.recentSwings = [];
+        this.thrustDetector.reset();
+        this.sealRecognizer.reset();
+        this.holdDetector.reset();
+        this.comboRecognizer.reset();
+        this.heldSwing = null;
+        this.heldSealEvents = [];
         this.isPowerMode = false;
         this.powerModeEndTime = 0;
         // Do not reset "isCalibrated" or "pyr0" as calibration is usually persistent until explicitly recalibrated
@@ -0,0 +1,143 @@
+/**
+ * MotionKinematics.js
+ * 連続するクォータニオン付きフレームから派生量を求めるクラス
+ *
+ * - 角速度: 前フレームとのクォータニオン差分（q_prev⁻¹ · q）の回転角 / 経過時間。センサー座標系（deg/s）
+ * - 線形加速度: ax/ay/az をクォータニオンでワールド座標へ回し、静止中に追従させた
+ *   重力・オフセットの推定値を引いたもの（g）
+ *
+ * クォータニオンの無い形式（euler15）では派生量は null のまま。
+ */
+
+export class MotionKinematics {
+    /**
+     * フレームの角速度の大きさ（deg/s）。ジャイロがあればその大きさ、無ければクォータニオン差分の値を使う
+     * どちらも無い形式（euler15）は、前のフレームと経過時間を渡せば pitch/yaw の差から求める
+     * @param {Object} frame
+     * @param {Object} [previous] - 前のフレーム（pitch_deg, yaw_deg）
+     * @param {number} [dtMs] - 前のフレームからの経過時間
+     * @returns {number|null} 求められなければ null
+     */
+    static getAngularSpeed(frame, previous = null, dtMs = 0) {
+        if (typeof frame.gyro_mag_dps === 'number') return frame.gyro_mag_dps;
+        if (typeof frame.angular_speed_dps === 'number') return frame.angular_speed_dps;
+        if (!previous || dtMs <= 0) return null;
+
+        const wrap = (angle) => ((angle + 540) % 360) - 180;
+        const dPitch = wrap(frame.pitch_deg - previous.pitch_deg);
+        const dYaw = wrap(frame.yaw_deg - previous.yaw_deg);
+        return Math.sqrt(dPitch * dPitch + dYaw * dYaw) / (dtMs / 1000);
+    }
+
+    constructor() {
+        // BLE でまとめて届いた同時刻のフレームは差分を取らず、次のフレームでまとめて求める
+        this.MIN_DT_MS = 2;
+        // この角速度未満なら静止中とみなし、重力推定を更新する
+        this.REST_ANGULAR_SPEED_DPS = 30;
+        this.GRAVITY_TIME_CONSTANT_MS = 500;
+
+        this.reset();
+    }
+
+    reset() {
+        this.lastQuaternion = null;
+        this.lastTime = null;
+        this.angularVelocity = null;
+        this.gravity = null;
+    }
+
+    /**
+     * フレームに派生量を書き込む（wx_dps, wy_dps, wz_dps, angular_speed_dps, lin_ax_g, lin_ay_g, lin_az_g, lin_a_mag）
+     * @param {Object} frame - SensorFrameParser のフレーム
+     */
+    update(frame) {
+        if (frame.quat_w === null) return;
+
+        const q = { w: frame.quat_w, x: frame.quat_x, y: frame.quat_y, z: frame.quat_z };
+        const now = frame.sampleTime;
+
+        if (this.lastQuaternion === null) {
+            this.lastQuaternion = q;
+            this.lastTime = now;
+        } else if (now - this.lastTime >= this.MIN_DT_MS) {
+            this.angularVelocity = this.calculateAngularVelocity(this.lastQuaternion, q, now - this.lastTime);
+            this.lastQuaternion = q;
+            this.lastTime = now;
+        }
+
+        const omega = this.angularVelocity || { x: 0, y: 0, z: 0 };
+        const angularSpeed = Math.sqrt(omega.x * omega.x + omega.y * omega.y + omega.z * omega.z);
+        const world = this.rotateVector(q, { x: frame.ax_g, y: frame.ay_g, z: frame.az_g });
+        const gravity = this.updateGravity(world, angularSpeed, now);
+
+        const lin_ax_g = world.x - gravity.x;
+        const lin_ay_g = world.y - gravity.y;
+        const lin_az_g = world.z - gravity.z;
+        Object.assign(frame, {
+            wx_dps: omega.x,
+            wy_dps: omega.y,
+            wz_dps: omega.z,
+            angular_speed_dps: angularSpeed,
+            lin_ax_g,
+            lin_ay_g,
+            lin_az_g,
+            lin_a_mag: Math.sqrt(lin_ax_g * lin_ax_g + lin_ay_g * lin_ay_g + lin_az_g * lin_az_g)
+        });
+    }
+
+    /**
+     * @returns {{x: number, y: number, z: number}} deg/s
+     */
+    calculateAngularVelocity(from, to, dtMs) {
+        // delta = from⁻¹ · to（センサー座標系での回転）
+        let w = from.w * to.w + from.x * to.x + from.y * to.y + from.z * to.z;
+        let x = from.w * to.x - from.x * to.w - from.y * to.z + from.z * to.y;
+        let y = from.w * to.y + from.x * to.z - from.y * to.w - from.z * to.x;
+        let z = from.w * to.z - from.x * to.y + from.y * to.x - from.z * to.w;
+        if (w < 0) {
+            w = -w;
+            x = -x;
+            y = -y;
+            z = -z;
+        }
+
+        const sinHalf = Math.sqrt(x * x + y * y + z * z);
+        if (sinHalf < 1e-9) return { x: 0, y: 0, z: 0 };
+
+        const angleDeg = 2 * Math.atan2(sinHalf, w) * 180 / Math.PI;
+        const scale = angleDeg / sinHalf / (dtMs / 1000);
+        return { x: x * scale, y: y * scale, z: z * scale };
+    }
+
+    rotateVector(q, v) {
+        // v' = v + 2w(u × v) + 2u × (u × v)
+        const tx = 2 * (q.y * v.z - q.z * v.y);
+        const ty = 2 * (q.z * v.x - q.x * v.z);
+        const tz = 2 * (q.x * v.y - q.y * v.x);
+        return {
+            x: v.x + q.w * tx + (q.y * tz - q.z * ty),
+            y: v.y + q.w * ty + (q.z * tx - q.x * tz),
+            z: v.z + q.w * tz + (q.x * ty - q.y * tx)
+        };
+    }
+
+    /**
+     * 静止中のワールド加速度を一次遅れで追従させ、重力（とセンサーのオフセット）を推定する
+     */
+    updateGravity(world, angularSpeed, now) {
+        if (this.gravity === null) {
+            this.gravity = { ...world, time: now };
+            return this.gravity;
+        }
+
+        const dt = Math.max(0, now - this.gravity.time);
+        this.gravity.time = now;
+        if (angularSpeed < this.REST_ANGULAR_SPEED_DPS) {
+            const alpha = dt / (this.GRAVITY_TIME_CONSTANT_MS + dt);
+            this.gravity.x += (world.x - this.gravity.x) * alpha;
+            this.gravity.y += (world.y - this.gravity.y) * alpha;
+            this.gravity.z += (world.z - this.gravity.z) * alpha;
+        }
+        return this.gravity;
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * MultiPointCalibration.js
+ * 方位・仰角に散らした複数の的を斬った結果から、グローブ角度とカメラ角度の対応を求めるクラス
+ *
+ * 的ごとにスイング中の平均姿勢（生の yaw / pitch）を集め、軸ごとに
+ *   的の角度 = gain × (グローブ角度 - offset)
+ * を最小二乗で当てはめる。グローブが回りすぎる・回り足りないプレイヤーは gain で補正される。
+ * 的の広がりが足りない軸は gain 1 のまま offset だけを求める。
+ */
+
+// 的の配置（キャリブレーション時の正面からの相対角度、度）。先頭は必ず正面
+export const CALIBRATION_TARGET_LAYOUTS = {
+    1: [
+        { name: 'front', label: '正面', azim: 0, elev: 0 }
+    ],
+    3: [
+        { name: 'front', label: '正面', azim: 0, elev: 0 },
+        { name: 'left-up', label: '左上', azim: -35, elev: 15 },
+        { name: 'right-down', label: '右下', azim: 35, elev: -15 }
+    ],
+    5: [
+        { name: 'front', label: '正面', azim: 0, elev: 0 },
+        { name: 'left', label: '左', azim: -40, elev: 0 },
+        { name: 'right', label: '右', azim: 40, elev: 0 },
+        { name: 'up', label: '上', azim: 0, elev: 25 },
+        { name: 'down', label: '下', azim: 0, elev: -20 }
+    ]
+};
+
+export class MultiPointCalibration {
+    constructor() {
+        this.MIN_GAIN = 0.5;
+        this.MAX_GAIN = 2.0;
+        // 的の角度の広がりがこれ未満の軸は gain を求めない
+        this.MIN_SPREAD_DEG = 10;
+
+        this.start(1);
+    }
+
+    /**
+     * @param {number} pointCount - 1, 3, 5
+     */
+    start(pointCount) {
+        this.targets = CALIBRATION_TARGET_LAYOUTS[pointCount] || CALIBRATION_TARGET_LAYOUTS[1];
+        this.samples = [];
+    }
+
+    get pointCount() {
+        return this.targets.length;
+    }
+
+    isActive() {
+        return this.targets.length > 1;
+    }
+
+    isComplete() {
+        return this.samples.length >= this.targets.length;
+    }
+
+    getCurrentTarget() {
+        return this.targets[this.samples.length] || null;
+    }
+
+    /**
+     * 今の的に対するスイングの平均姿勢を記録する
+     * @param {{yaw: number, pitch: number}} pose - 生のグローブ角度
+     * @returns {Object|null} 次の的（全て斬り終えたら null）
+     */
+    addSample(pose) {
+        const target = this.getCurrentTarget();
+        if (!target) return null;
+        this.samples.push({ target, yaw: pose.yaw, pitch: pose.pitch });
+        return this.getCurrentTarget();
+    }
+
+    /**
+     * @param {number} frontYaw - キャリブレーション時の端末の正面方向
+     * @returns {{yaw: number, pitch: number, gain: {yaw: number, pitch: number, yawCentre: number}, residual: number}|null}
+     *   MotionInterpreter.calibrate にそのまま渡せる基準角度と gain。サンプルが無ければ null
+     */
+    fit(frontYaw) {
+        if (this.samples.length === 0) return null;
+
+        // ヨーは正面のサンプルを基準に連続化してから当てはめる
+        const reference = this.samples[0].yaw;
+        const yawFit = this.fitAxis(this.samples.map(sample => ({
+            value: this.unwrapAngle(sample.yaw - reference),
+            target: sample.target.azim
+        })));
+        const pitchFit = this.fitAxis(this.samples.map(sample => ({
+            value: sample.pitch,
+            target: sample.target.elev
+        })));
+
+        const residuals = this.samples.map(sample => {
+            const yawError = yawFit.gain * (this.unwrapAngle(sample.yaw - reference) - yawFit.offset) - sample.target.azim;
+            const pitchError = pitchFit.gain * (sample.pitch - pitchFit.offset) - sample.target.elev;
+            return yawError * yawError + pitchError * pitchError;
+        });
+
+        return {
+            yaw: this.unwrapAngle(reference + yawFit.offset - frontYaw),
+            pitch: pitchFit.offset,
+            gain: { yaw: yawFit.gain, pitch: pitchFit.gain, yawCentre: frontYaw },
+            residual: Math.sqrt(residuals.reduce((sum, value) => sum + value, 0) / residuals.length)
+        };
+    }
+
+    /**
+     * target = gain × (value - offset) の最小二乗
+     */
+    fitAxis(points) {
+        const n = points.length;
+        const meanValue = points.reduce((sum, p) => sum + p.value, 0) / n;
+        const meanTarget = points.reduce((sum, p) => sum + p.target, 0) / n;
+        const targets = points.map(p => p.target);
+        const spread = Math.max(...targets) - Math.min(...targets);
+
+        let gain = 1;
+        if (spread >= this.MIN_SPREAD_DEG) {
+            let covariance = 0;
+            let variance = 0;
+            points.forEach(p => {
+                covariance += (p.value - meanValue) * (p.target - meanTarget);
+                variance += (p.value - meanValue) * (p.value - meanValue);
+            });
+            if (variance > 1e-6 && covariance > 0) {
+                gain = Math.max(this.MIN_GAIN, Math.min(this.MAX_GAIN, covariance / variance));
+            }
+        }
+
+        return { gain, offset: meanValue - meanTarget / gain };
+    }
+
+    unwrapAngle(angle) {
+        while (angle > 180) angle -= 360;
+        while (angle < -180) angle += 360;
+        return angle;
+    }
+}
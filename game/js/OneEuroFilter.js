@@ -0,0 +1,55 @@
+/**
+ * OneEuroFilter.js
+ * 1€ フィルタ（Casiez et al. 2012）。ゆっくりした動きは強く平滑化し、速い動きでは遅延を抑える
+ *
+ * cutoff = minCutoff + beta × |平滑化した変化速度|
+ * minCutoff を下げると静止時の揺れが減り、beta を上げると速い動きへの追従が良くなる。
+ */
+
+export class OneEuroFilter {
+    /**
+     * @param {Object} options - { minCutoff (Hz), beta, dCutoff (Hz) }
+     */
+    constructor({ minCutoff = 1.0, beta = 0.0, dCutoff = 1.0 } = {}) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+        this.MIN_DT_S = 0.001;
+
+        this.reset();
+    }
+
+    reset() {
+        this.lastValue = null;
+        this.lastDerivative = 0;
+        this.lastTime = null;
+    }
+
+    /**
+     * @param {number} value
+     * @param {number} timestampMs
+     * @returns {number} 平滑化した値
+     */
+    filter(value, timestampMs) {
+        if (this.lastValue === null) {
+            this.lastValue = value;
+            this.lastTime = timestampMs;
+            return value;
+        }
+
+        const dt = Math.max(this.MIN_DT_S, (timestampMs - this.lastTime) / 1000);
+        this.lastTime = timestampMs;
+
+        const derivative = (value - this.lastValue) / dt;
+        this.lastDerivative += (derivative - this.lastDerivative) * this.alpha(this.dCutoff, dt);
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.lastDerivative);
+        this.lastValue += (value - this.lastValue) * this.alpha(cutoff, dt);
+        return this.lastValue;
+    }
+
+    alpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+}
@@ -116,6 +116,8 @@ export class Renderer {
             radius: 0.75,
             worldPosition: this.calibrationAnchor.targetWorldPosition
         };
+        // 多点キャリブレーションでの的の位置（正面からの相対角度、度）
+        this.calibrationTargetOffset = { azim: 0, elev: 0 };
         this.calibrationTargetBurstEffects = [];
         this.freezeDomainEffects = [];
         this.maxFreezeDomainEffects = 2;
@@ -453,6 +455,19 @@ export class Renderer {
         this.slashProjectileManager.addProjectile(startPyr, endPyr, intensity);
     }
 
+    /**
+     * 突き: 狙った向きを縦に短く貫く斬撃弾を飛ばす
+     * @param {{pitch: number, yaw: number}} aimPyr
+     */
+    addThrustProjectile(aimPyr, intensity) {
+        const halfArcDeg = 4;
+        this.slashProjectileManager.addProjectile(
+            { pitch: aimPyr.pitch + halfArcDeg, yaw: aimPyr.yaw },
+            { pitch: aimPyr.pitch - halfArcDeg, yaw: aimPyr.yaw },
+            intensity
+        );
+    }
+
     addCalibrationSlashProjectile(startPyr, endPyr, intensity) {
         this.slashProjectileManager.addProjectile(startPyr, endPyr, intensity, {
             colors: {
@@ -482,6 +497,7 @@ export class Renderer {
     }
 
     showCalibrationStage() {
+        this.calibrationTargetOffset = { azim: 0, elev: 0 };
         this.setCalibrationFrontToCurrentCamera();
         this.clearCalibrationTargetBurstEffects();
 
@@ -598,18 +614,45 @@ export class Renderer {
         const target = this.calibrationStageGroup.getObjectByName('calibrationTarget');
         if (!target) return;
 
-        this.calibrationAnchor.targetWorldPosition
-            .copy(this.calibrationAnchor.cameraWorldPosition)
-            .addScaledVector(this.calibrationAnchor.frontDirection, this.calibrationTarget.distance);
-        this.calibrationTarget.worldPosition = this.calibrationAnchor.targetWorldPosition;
+        const anchor = this.calibrationAnchor;
+        const distance = this.calibrationTarget.distance;
+        const azimRad = this.calibrationTargetOffset.azim * DEG2RAD;
+        const elevRad = this.calibrationTargetOffset.elev * DEG2RAD;
+        const local = {
+            x: Math.cos(elevRad) * Math.sin(azimRad),
+            y: Math.sin(elevRad),
+            z: Math.cos(elevRad) * Math.cos(azimRad)
+        };
 
-        this.calibrationStageGroup.position.copy(this.calibrationAnchor.cameraWorldPosition);
-        this.calibrationStageGroup.quaternion.copy(this.calibrationAnchor.horizontalWorldQuaternion);
-        target.position.set(0, 0, -this.calibrationTarget.distance);
-        target.quaternion.identity();
+        anchor.targetWorldPosition
+            .copy(anchor.cameraWorldPosition)
+            .addScaledVector(anchor.frontDirection, local.z * distance)
+            .addScaledVector(anchor.rightDirection, local.x * distance)
+            .addScaledVector(anchor.upDirection, local.y * distance);
+        this.calibrationTarget.worldPosition = anchor.targetWorldPosition;
+        this.calibrationTarget.azim = this.calibrationFrontYaw + this.calibrationTargetOffset.azim;
+        this.calibrationTarget.elev = this.calibrationTargetOffset.elev;
+
+        this.calibrationStageGroup.position.copy(anchor.cameraWorldPosition);
+        this.calibrationStageGroup.quaternion.copy(anchor.horizontalWorldQuaternion);
+        target.position.set(local.x * distance, local.y * distance, -local.z * distance);
+        // 的の面をカメラに向ける
+        target.rotation.set(elevRad, -azimRad, 0, 'YXZ');
         target.updateMatrixWorld(true);
     }
 
+    /**
+     * 的を正面から azim（右が正）・elev（上が正）だけずらした位置に出し直す
+     */
+    setCalibrationTargetOffset(azimDeg, elevDeg) {
+        this.calibrationTargetOffset = { azim: azimDeg, elev: elevDeg };
+        this.updateCalibrationTarget();
+        const target = this.calibrationStageGroup
+            ? this.calibrationStageGroup.getObjectByName('calibrationTarget')
+            : null;
+        if (target) target.visible = true;
+    }
+
     getCalibrationTargetGuide() {
         const targetWorld = this.getCalibrationTargetWorldPosition();
         const basis = this.getCameraBasis();
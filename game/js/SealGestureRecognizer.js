@@ -0,0 +1,392 @@
+/**
+ * SealGestureRecognizer.js
+ * pitch/yaw の軌跡で描いた印（五芒星・九字など）をテンプレートと照合するクラス（$P 点群照合）
+ *
+ * 加速度が PEN_DOWN_A 以上の間を1画として記録し、STROKE_GAP_MS 以内の途切れは同じ画とみなす。
+ * 最後の画から END_IDLE_MS 動きが無ければ描き終わりとし、全画の点を RESAMPLE_POINTS 点に
+ * 再標本化・正規化（重心を原点、大きい方の幅を1）してから各テンプレートとの距離を求める。
+ * $P は画の順序・向きに依存しないため、九字のような多画の印も書き順を問わず照合できる。
+ * 描いている途中でも matchesCurrentDrawing() でそこまでの画が印（多画の印は書き出しの画）に
+ * 一致しているかを確かめられる（MotionInterpreter が印の画から出た斬撃・円を保留するのに使う）。
+ *
+ * テンプレート定義（x = 右向きの yaw、y = 上向きの pitch。単位は任意）:
+ *   { label: '五芒星', strokes: [[[x, y], [x, y], ...], ...], minScore: 0.5 }
+ */
+
+export const DEFAULT_SEAL_TEMPLATES = {
+    // 頂点から一筆書き
+    pentagram: {
+        label: '五芒星',
+        strokes: [[0, 2, 4, 1, 3, 0].map(i => {
+            const angle = (90 + 72 * i) * Math.PI / 180;
+            return [Math.cos(angle), Math.sin(angle)];
+        })]
+    },
+    // 横4本・縦5本の格子を横縦交互に
+    kuji: {
+        label: '九字',
+        strokes: [
+            [[-1, 1], [-1, -1]],
+            [[-1, 0.75], [1, 0.75]],
+            [[-0.5, 1], [-0.5, -1]],
+            [[-1, 0.25], [1, 0.25]],
+            [[0, 1], [0, -1]],
+            [[-1, -0.25], [1, -0.25]],
+            [[0.5, 1], [0.5, -1]],
+            [[-1, -0.75], [1, -0.75]],
+            [[1, 1], [1, -1]]
+        ]
+    },
+    // 上から下への稲妻
+    lightning: {
+        label: '雷',
+        strokes: [[[-0.5, 1], [0.5, 0.5], [-0.5, 0], [0.5, -0.5], [-0.5, -1]]]
+    }
+};
+
+export class SealGestureRecognizer {
+    constructor(templates = DEFAULT_SEAL_TEMPLATES) {
+        this.PEN_DOWN_A = 0.45;       // g
+        this.STROKE_GAP_MS = 120;
+        this.END_IDLE_MS = 500;
+        this.MAX_DURATION_MS = 6000;
+        this.MIN_POINTS = 12;
+        this.MIN_SIZE_DEG = 20;       // 描いた範囲の大きい方の幅
+        this.RESAMPLE_POINTS = 32;
+        // 点群距離（$P の重み付き和 / 点数）がこの値で score 0。同じ印はおよそ 0.02〜0.04、別の印は 0.06 以上
+        this.SCORE_DISTANCE_SCALE = 0.1;
+        this.MIN_SCORE = 0.5;
+        // 描きかけの多画の印を書き出しの画と比べるのは、この画数から（素早い連続斬りまで保留しないため）
+        this.MIN_PREFIX_STROKES = 3;
+
+        this.templates = new Map();
+        this.definitions = {};
+        for (const name in templates) {
+            this.define(name, templates[name]);
+        }
+
+        this.reset();
+
+        this.onSealDetected = null;
+    }
+
+    /**
+     * テンプレートを登録（同名は上書き）
+     * @param {string} name
+     * @param {Object} definition - { label, strokes, minScore }
+     */
+    define(name, definition) {
+        this.validate(name, definition);
+        this.definitions[name] = definition;
+        this.templates.set(name, {
+            name,
+            label: definition.label || name,
+            minScore: typeof definition.minScore === 'number' ? definition.minScore : null,
+            strokeCount: definition.strokes.length,
+            strokes: definition.strokes.map(stroke => stroke.map(([x, y]) => ({ x, y }))),
+            prefixPoints: new Map(),
+            points: this.normalize(definition.strokes.map(stroke => stroke.map(([x, y]) => ({ x, y }))))
+        });
+    }
+
+    validate(name, definition) {
+        const isPoint = (point) => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite);
+        if (!definition || !Array.isArray(definition.strokes) || definition.strokes.length === 0 ||
+            !definition.strokes.every(stroke => Array.isArray(stroke) && stroke.length >= 2 && stroke.every(isPoint))) {
+            throw new Error(`印テンプレート ${name} の strokes が不正です`);
+        }
+    }
+
+    getTemplateNames() {
+        return Array.from(this.templates.keys());
+    }
+
+    /**
+     * 登録済みの定義（applyOverrides にそのまま渡せる。再生で同じテンプレートを使うため）
+     */
+    getDefinitions() {
+        return { ...this.definitions };
+    }
+
+    /**
+     * 設定オブジェクトの templates でテンプレートを追加・上書き
+     * @param {Object} settings - { templates: { name: definition, ... } }
+     */
+    applyOverrides(settings = {}) {
+        const templates = settings.templates || {};
+        // 1つでも不正なら何も登録しない
+        for (const name in templates) {
+            this.validate(name, templates[name]);
+        }
+        for (const name in templates) {
+            this.define(name, templates[name]);
+        }
+    }
+
+    /**
+     * 設定ファイル（JSON）を読み込んで追加・上書き。ファイルが無い・不正な場合は既定のまま
+     * @param {string} url
+     * @returns {Promise<boolean>} 読み込めたか
+     */
+    async loadOverrides(url) {
+        try {
+            const resp = await fetch(url, { cache: 'no-cache' });
+            if (!resp.ok) return false;
+            this.applyOverrides(await resp.json());
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    update(frame, now) {
+        const isPenDown = (frame.a_mag ?? 0) >= this.PEN_DOWN_A;
+        this.isPenDown = isPenDown;
+
+        if (isPenDown) {
+            if (this.state === 'Idle') {
+                this.state = 'Drawing';
+                this.startTime = now;
+                this.strokes = [];
+            }
+            if (!this.currentStroke || now - this.lastPenDownTime > this.STROKE_GAP_MS) {
+                this.currentStroke = [];
+                this.strokes.push(this.currentStroke);
+            }
+            this.currentStroke.push(this.toPoint(frame, now));
+            this.lastPenDownTime = now;
+            this.currentMatch = null;
+        }
+
+        if (this.state !== 'Drawing') return;
+        if (now - this.lastPenDownTime >= this.END_IDLE_MS || now - this.startTime >= this.MAX_DURATION_MS) {
+            this.finishDrawing(now);
+        }
+    }
+
+    /**
+     * yaw は最初の点から連続になるように展開する
+     */
+    toPoint(frame, now) {
+        const last = this.lastPoint;
+        const x = last ? last.x + this.unwrapAngle(frame.yaw_deg - last.rawYaw) : frame.yaw_deg;
+        const point = { x, y: frame.pitch_deg, rawYaw: frame.yaw_deg, timestamp: now };
+        this.lastPoint = point;
+        return point;
+    }
+
+    finishDrawing(now) {
+        const strokes = this.strokes.filter(stroke => stroke.length >= 2);
+        const result = this.recognize(strokes);
+        this.lastResult = result ? { ...result, timestamp: now } : null;
+
+        if (result && result.score >= result.minScore) {
+            if (this.onSealDetected) {
+                this.onSealDetected({
+                    name: result.name,
+                    label: result.label,
+                    score: result.score,
+                    distance: result.distance,
+                    scores: result.scores,
+                    strokeCount: strokes.length,
+                    startTime: this.startTime,
+                    durationMs: this.lastPenDownTime - this.startTime,
+                    timestamp: now
+                });
+            }
+        }
+
+        this.clearBuffer();
+    }
+
+    isDrawing() {
+        return this.state === 'Drawing';
+    }
+
+    /**
+     * 描き終わりを待たずに、ここまでの画がどれかのテンプレートに一致しているか（点が増えるまで結果を使い回す）
+     */
+    matchesCurrentDrawing() {
+        if (this.state !== 'Drawing') return false;
+        if (this.currentMatch === null) {
+            const strokes = this.strokes.filter(stroke => stroke.length >= 2);
+            const result = this.recognize(strokes);
+            this.currentMatch = (!!result && result.score >= result.minScore) || this.matchesTemplatePrefix(strokes);
+        }
+        return this.currentMatch;
+    }
+
+    /**
+     * 描いた画数より画の多いテンプレートの、同じ画数までの書き出しと比べる
+     */
+    matchesTemplatePrefix(strokes) {
+        const count = strokes.length;
+        if (count < this.MIN_PREFIX_STROKES) return false;
+        const points = strokes.flat();
+        if (points.length < this.MIN_POINTS) return false;
+
+        const candidate = this.normalize(strokes);
+        return Array.from(this.templates.values()).some(template => {
+            if (template.strokeCount <= count) return false;
+            if (!template.prefixPoints.has(count)) {
+                template.prefixPoints.set(count, this.normalize(template.strokes.slice(0, count)));
+            }
+            const score = this.distanceToScore(this.cloudDistance(candidate, template.prefixPoints.get(count)));
+            return score >= (template.minScore ?? this.MIN_SCORE);
+        });
+    }
+
+    /**
+     * @param {Array<Array<{x: number, y: number}>>} strokes - 画ごとの点（x = yaw, y = pitch、度）
+     * @returns {{name, label, score, distance, minScore, scores: Array<{name, score}>}|null}
+     *   最も近いテンプレート。点が少ない・小さすぎる場合は null
+     */
+    recognize(strokes) {
+        const points = strokes.flat();
+        if (points.length < this.MIN_POINTS || this.templates.size === 0) return null;
+
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const size = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+        if (size < this.MIN_SIZE_DEG) return null;
+
+        const candidate = this.normalize(strokes);
+        const scores = [];
+        this.templates.forEach(template => {
+            const distance = this.cloudDistance(candidate, template.points);
+            scores.push({ name: template.name, score: this.distanceToScore(distance), distance });
+        });
+        scores.sort((a, b) => b.score - a.score);
+
+        const best = this.templates.get(scores[0].name);
+        return {
+            name: best.name,
+            label: best.label,
+            score: scores[0].score,
+            distance: scores[0].distance,
+            minScore: best.minScore ?? this.MIN_SCORE,
+            scores: scores.map(({ name, score }) => ({ name, score }))
+        };
+    }
+
+    distanceToScore(distance) {
+        return Math.max(0, 1 - distance / this.RESAMPLE_POINTS / this.SCORE_DISTANCE_SCALE);
+    }
+
+    // --- $P ---
+
+    /**
+     * 再標本化 → 大きさをそろえる → 重心を原点へ
+     */
+    normalize(strokes) {
+        const points = this.resample(strokes, this.RESAMPLE_POINTS);
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const scale = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+        const scaled = points.map(p => ({ x: (p.x - minX) / scale, y: (p.y - minY) / scale }));
+        const cx = scaled.reduce((sum, p) => sum + p.x, 0) / scaled.length;
+        const cy = scaled.reduce((sum, p) => sum + p.y, 0) / scaled.length;
+        return scaled.map(p => ({ x: p.x - cx, y: p.y - cy }));
+    }
+
+    /**
+     * 画の中だけを等間隔に n 点へ（画と画の間の移動は含めない）
+     */
+    resample(strokes, n) {
+        const segments = [];
+        let pathLength = 0;
+        strokes.forEach(stroke => {
+            for (let i = 1; i < stroke.length; i++) {
+                const length = Math.hypot(stroke[i].x - stroke[i - 1].x, stroke[i].y - stroke[i - 1].y);
+                segments.push({ from: stroke[i - 1], to: stroke[i], length });
+                pathLength += length;
+            }
+        });
+
+        const first = strokes[0][0];
+        if (pathLength === 0) return Array.from({ length: n }, () => ({ x: first.x, y: first.y }));
+
+        const interval = pathLength / (n - 1);
+        const points = [];
+        let travelled = 0;
+        let segmentIndex = 0;
+        for (let i = 0; i < n; i++) {
+            const target = Math.min(pathLength, i * interval);
+            while (segmentIndex < segments.length - 1 && travelled + segments[segmentIndex].length < target) {
+                travelled += segments[segmentIndex].length;
+                segmentIndex++;
+            }
+            const segment = segments[segmentIndex];
+            const t = segment.length > 0 ? Math.min(1, (target - travelled) / segment.length) : 0;
+            points.push({
+                x: segment.from.x + (segment.to.x - segment.from.x) * t,
+                y: segment.from.y + (segment.to.y - segment.from.y) * t
+            });
+        }
+        return points;
+    }
+
+    cloudDistance(points, template) {
+        const step = Math.max(1, Math.floor(Math.sqrt(points.length)));
+        let min = Infinity;
+        for (let start = 0; start < points.length; start += step) {
+            min = Math.min(min, this.greedyMatch(points, template, start), this.greedyMatch(template, points, start));
+        }
+        return min;
+    }
+
+    greedyMatch(points, template, start) {
+        const n = points.length;
+        const matched = new Array(n).fill(false);
+        let sum = 0;
+        for (let k = 0; k < n; k++) {
+            const p = points[(start + k) % n];
+            let nearest = -1;
+            let nearestDistance = Infinity;
+            template.forEach((q, j) => {
+                if (matched[j]) return;
+                const d = Math.hypot(p.x - q.x, p.y - q.y);
+                if (d < nearestDistance) {
+                    nearestDistance = d;
+                    nearest = j;
+                }
+            });
+            matched[nearest] = true;
+            // 先に対応付けた点ほど重くする
+            sum += (1 - k / n) * nearestDistance;
+        }
+        return sum;
+    }
+
+    unwrapAngle(angle) {
+        while (angle > 180) angle -= 360;
+        while (angle < -180) angle += 360;
+        return angle;
+    }
+
+    getDebugInfo() {
+        return {
+            state: this.state,
+            strokes: this.strokes.length,
+            lastResult: this.lastResult
+        };
+    }
+
+    clearBuffer() {
+        this.state = 'Idle';
+        this.strokes = [];
+        this.currentStroke = null;
+        this.lastPoint = null;
+        this.startTime = 0;
+        this.lastPenDownTime = -Infinity;
+        this.currentMatch = null;
+    }
+
+    reset() {
+        this.clearBuffer();
+        this.isPenDown = false;
+        this.lastResult = null;
+    }
+}
@@ -2,20 +2,157 @@
  * SensorFrameParser.js
  * Parses controller sensor frames and tracks receive/drop statistics.
  *
- * Supported frames:
- * - Legacy Euler frame, 15 bytes:
- *   S, seq, ax, ay, az, pitch, yaw, roll, flags
- * - Quaternion game frame, 17 bytes:
- *   S, seq, ax, ay, az, qw, qx, qy, qz, flags
+ * Frames are decoded by entries in a registry keyed by header byte and length.
+ * Built-in frames:
+ * - euler15, 15 bytes: S, seq, ax, ay, az, pitch, yaw, roll, flags
+ * - quat17, 17 bytes:  S, seq, ax, ay, az, qw, qx, qy, qz, flags
+ * - gyro23, 23 bytes:  S, seq, ax, ay, az, qw, qx, qy, qz, gx, gy, gz, flags
+ * - euler15t / quat17t / gyro23t: 上記の末尾に uint32 LE のコントローラ時刻（ms）を付けたもの
+ *
+ * 新しいファーム形式は SensorFrameParser.registerFrameDecoder() で追加する（parser の変更は不要）。
+ *
+ * 1回の通知に複数サンプルを詰めたバッチ通知（parseFrames で展開）:
+ *   0x42, count, sampleHeader, sample × count
+ *   sample はヘッダーを除いた登録済みフレーム（seq から始まる）。長さは (全長 - 3) / count。
+ *   受信時刻を最後のサンプルの時刻とし、前のサンプルは前回フレームとの間に等間隔で補間する。
+ * byte 1 は常に seq とし、受信統計と timestamp は parser が共通で処理する。
+ *
+ * 任意の CRC-8 トレーラー: 登録済みの長さ + 1 バイトのフレームは、最後の1バイトを
+ * ヘッダーからの全バイトの CRC-8（多項式 0x07、初期値 0x00）として検証する。
+ * 不正なフレームは原因別に数え（ヘッダー・長さ・CRC・値の異常・seq の逆行）、null を返す。
+ * flags のビット配置と変化イベントは ControllerFlagsMonitor を参照。
+ *
+ * timestamp は受信時刻（バッチでは補間値）。sampleTime はジェスチャ判定に使うサンプル時刻で、
+ * コントローラ時刻があれば ControllerClockSync でページ時刻に変換した値、無ければ timestamp と同じ。
+ *
+ * parseFrames は小さな seq 欠落（MAX_GAP_FILL_FRAMES 以下）を補間フレーム（synthetic: true）で埋める。
+ * クォータニオン付きの形式では、補間フレームも含めて MotionKinematics が角速度と線形加速度を加える。
  */
 
+import { ControllerClockSync } from './ControllerClockSync.js';
+import { MotionKinematics } from './MotionKinematics.js';
+
 const QUATERNION_CONTROLLER_AXIS_SIGNS = {
     pitch: -1,
     yaw: -1,
     roll: -1
 };
 
+export const SENSOR_FRAME_HEADER = 0x53;
+export const BATCH_NOTIFICATION_HEADER = 0x42;
+
+const CRC8_TABLE = (() => {
+    const table = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+        }
+        table[i] = crc;
+    }
+    return table;
+})();
+
+/**
+ * CRC-8（多項式 0x07、初期値 0x00、反転なし）
+ * @param {Uint8Array|DataView} data
+ * @param {number} length - 先頭から計算するバイト数
+ */
+export function crc8(data, length) {
+    let crc = 0;
+    for (let i = 0; i < length; i++) {
+        const byte = typeof data.getUint8 === 'function' ? data.getUint8(i) : data[i];
+        crc = CRC8_TABLE[crc ^ byte];
+    }
+    return crc;
+}
+
+// decode() が返さなかった項目の既定値（フレームの形を形式によらず揃える）
+const FRAME_FIELD_DEFAULTS = {
+    ax_g: 0,
+    ay_g: 0,
+    az_g: 0,
+    a_mag: 0,
+    pitch_deg: 0,
+    yaw_deg: 0,
+    roll_deg: 0,
+    quat_w: null,
+    quat_x: null,
+    quat_y: null,
+    quat_z: null,
+    quat_norm: null,
+    gx_dps: null,
+    gy_dps: null,
+    gz_dps: null,
+    gyro_mag_dps: null,
+    wx_dps: null,
+    wy_dps: null,
+    wz_dps: null,
+    angular_speed_dps: null,
+    lin_ax_g: null,
+    lin_ay_g: null,
+    lin_az_g: null,
+    lin_a_mag: null,
+    deviceTimeMs: null,
+    flags: 0,
+    synthetic: false
+};
+
+/**
+ * 単位クォータニオンの球面線形補間（逆向きなら短い方の弧を通る）
+ */
+function slerpQuaternion(a, b, t) {
+    let dot = a.w * b.w + a.x * b.x + a.y * b.y + a.z * b.z;
+    const sign = dot < 0 ? -1 : 1;
+    dot *= sign;
+
+    let wa = 1 - t;
+    let wb = t * sign;
+    if (dot < 0.9995) {
+        const theta = Math.acos(dot);
+        const sinTheta = Math.sin(theta);
+        wa = Math.sin((1 - t) * theta) / sinTheta;
+        wb = sign * Math.sin(t * theta) / sinTheta;
+    }
+
+    const q = {
+        w: wa * a.w + wb * b.w,
+        x: wa * a.x + wb * b.x,
+        y: wa * a.y + wb * b.y,
+        z: wa * a.z + wb * b.z
+    };
+    const len = Math.sqrt(q.w * q.w + q.x * q.x + q.y * q.y + q.z * q.z);
+    return { w: q.w / len, x: q.x / len, y: q.y / len, z: q.z / len };
+}
+
+// key: `${header}:${length}`
+const FRAME_DECODERS = new Map();
+const FRAME_HEADERS = new Set();
+
 export class SensorFrameParser {
+    /**
+     * フレームデコーダを登録（同じ header / length の登録は置き換える）
+     * @param {Object} decoder - { format, header, length, decode(parser, data) => フレーム項目 | null }
+     */
+    static registerFrameDecoder(decoder) {
+        if (!decoder || typeof decoder.decode !== 'function' || !decoder.format) {
+            throw new Error('Frame decoder needs format and decode()');
+        }
+        if (!Number.isInteger(decoder.header) || !Number.isInteger(decoder.length) || decoder.length < 2) {
+            throw new Error(`Frame decoder ${decoder.format}: invalid header or length`);
+        }
+        FRAME_DECODERS.set(`${decoder.header}:${decoder.length}`, decoder);
+        FRAME_HEADERS.add(decoder.header);
+    }
+
+    static getFrameDecoder(header, length) {
+        return FRAME_DECODERS.get(`${header}:${length}`) || null;
+    }
+
+    static getFrameFormats() {
+        return Array.from(FRAME_DECODERS.values(), decoder => decoder.format);
+    }
+
     constructor() {
         this.lastSeq = null;
         this.totalFrames = 0;
@@ -24,88 +161,356 @@ export class SensorFrameParser {
 
         this.frameTimestamps = [];
         this.MAX_TIMESTAMP_HISTORY = 60;
+
+        // バッチ通知のサンプル時刻補間
+        this.DEFAULT_BATCH_SAMPLE_INTERVAL_MS = 10;
+        this.MAX_BATCH_GAP_MS = 100; // これ以上前回フレームから空いたら既定間隔で補間
+        this.batchCount = 0;
+        this.batchedSamples = 0;
+
+        this.clockSync = new ControllerClockSync();
+        this.lastSampleTime = null;
+
+        // 値の妥当性チェック
+        this.MAX_ACCEL_G = 16;
+        this.QUATERNION_NORM_TOLERANCE = 0.1;
+        // 直前の seq からこの範囲だけ戻ったフレームは遅着・重複とみなす（それ以上はコントローラの再起動）
+        this.OUT_OF_ORDER_WINDOW = 16;
+
+        // 欠落補間（仕様 §9.2）: 小さな seq 欠落は前後のフレームから補間フレームを作って埋める
+        this.MAX_GAP_FILL_FRAMES = 3; // 0 で補間しない
+        this.MAX_GAP_FILL_MS = 150;
+        this.lastRealFrame = null;
+        this.filledFrames = 0;
+
+        this.kinematics = new MotionKinematics();
+
+        // 直前の正しい seq 以降に不正として捨てたフレーム数（seq の飛びから差し引き、無線の欠落と分ける）
+        this.rejectedSinceLastSeq = 0;
+
+        this.resetMalformedStats();
+    }
+
+    resetMalformedStats() {
+        this.wrongHeaderFrames = 0;
+        this.wrongLengthFrames = 0;
+        this.checksumFailures = 0;
+        this.implausibleFrames = 0;
+        this.outOfOrderFrames = 0;
+        this.checksummedFrames = 0;
     }
 
     /**
-     * @param {Uint8Array} data
-     * @returns {Object|null}
+     * 1回の通知を展開してフレーム列を返す（単一フレームの通知も扱える）
+     * @param {Uint8Array|DataView} data
+     * @param {number} [timestamp] - 受信時刻（バッチでは最後のサンプルの時刻）
+     * @returns {Object[]}
      */
-    parseFrame(data) {
+    parseFrames(data, timestamp = performance.now()) {
         const length = this.getFrameLength(data);
-        if (length !== 15 && length !== 17) {
-            
-            return null;
+        if (length > 0 && this.getByte(data, 0) === BATCH_NOTIFICATION_HEADER) {
+            return this.parseBatch(data, length, timestamp);
         }
 
-        if (this.getByte(data, 0) !== 0x53) {
-            
-            return null;
+        const frame = this.parseFrame(data, timestamp);
+        return frame ? this.withGapFill(frame) : [];
+    }
+
+    parseBatch(data, length, timestamp) {
+        const count = length >= 3 ? this.getByte(data, 1) : 0;
+        const sampleLength = (length - 3) / count;
+        if (count === 0 || !Number.isInteger(sampleLength) || sampleLength < 1) {
+            this.wrongLengthFrames++;
+            this.rejectedSinceLastSeq++;
+            return [];
         }
 
-        const seq = this.getByte(data, 1);
-        this.updateSequenceStats(seq);
+        // サンプルの形式・CRC の検証は parseFrame がサンプルごとに行う
+        const sampleHeader = this.getByte(data, 2);
+
+        const interval = this.getBatchSampleInterval(count, timestamp);
+        const frames = [];
+        let sampleCount = 0;
+        for (let i = 0; i < count; i++) {
+            const sample = new Uint8Array(sampleLength + 1);
+            sample[0] = sampleHeader;
+            const offset = 3 + i * sampleLength;
+            for (let j = 0; j < sampleLength; j++) {
+                sample[j + 1] = this.getByte(data, offset + j);
+            }
+
+            // seq はサンプルごとに updateSequenceStats を通るので、バッチ間の欠落も数えられる
+            const frame = this.parseFrame(sample, timestamp - (count - 1 - i) * interval, timestamp);
+            if (!frame) continue;
+            frames.push(...this.withGapFill(frame));
+            sampleCount++;
+        }
+
+        this.batchCount++;
+        this.batchedSamples += sampleCount;
+        return frames;
+    }
+
+    /**
+     * 直前の実フレームとの間の欠落が小さければ補間フレームで埋め、順に派生量を加える
+     * @returns {Object[]} [補間フレーム..., frame]
+     */
+    withGapFill(frame) {
+        const frames = this.fillGap(this.lastRealFrame, frame);
+        this.lastRealFrame = frame;
+        frames.forEach(f => this.kinematics.update(f));
+        return frames;
+    }
 
-        const ax_g = this.readInt16LE(data, 2) / 100.0;
-        const ay_g = this.readInt16LE(data, 4) / 100.0;
-        const az_g = this.readInt16LE(data, 6) / 100.0;
-        const a_mag = Math.sqrt(ax_g * ax_g + ay_g * ay_g + az_g * az_g);
-
-        let pitch_deg;
-        let yaw_deg;
-        let roll_deg;
-        let quat_w = null;
-        let quat_x = null;
-        let quat_y = null;
-        let quat_z = null;
-        let frameFormat = 'euler15';
-        let flags = 0;
-
-        if (length === 17) {
-            const quat = this.parseQuaternionFrame(data);
-            quat_w = quat.w;
-            quat_x = quat.x;
-            quat_y = quat.y;
-            quat_z = quat.z;
-
-            const pyr = this.quaternionToControllerPYR(quat);
-            pitch_deg = pyr.pitch;
-            yaw_deg = pyr.yaw;
-            roll_deg = pyr.roll;
-            flags = this.getByte(data, 16);
-            frameFormat = 'quat17';
+    fillGap(previous, frame) {
+        if (!previous || previous.frameFormat !== frame.frameFormat) return [frame];
+
+        // CRC 不一致・値の異常で捨てたフレームの位置も欠落として埋まる
+        const missing = (frame.seq - previous.seq - 1 + 256) % 256;
+        if (missing === 0 || missing > this.MAX_GAP_FILL_FRAMES) return [frame];
+        if (frame.sampleTime - previous.sampleTime > this.MAX_GAP_FILL_MS) return [frame];
+
+        const frames = [];
+        for (let i = 1; i <= missing; i++) {
+            frames.push(this.interpolateFrame(previous, frame, i / (missing + 1), (previous.seq + i) % 256));
+        }
+        frames.push(frame);
+        this.filledFrames += missing;
+        return frames;
+    }
+
+    /**
+     * 2フレームの間の補間フレーム（クォータニオンは slerp、その他は線形補間。flags は前のフレームを引き継ぐ）
+     * @param {number} t - 0-1
+     */
+    interpolateFrame(from, to, t, seq) {
+        const lerp = (a, b) => a + (b - a) * t;
+        const lerpAngle = (a, b) => this.normalize180(a + this.normalize180(b - a) * t);
+
+        const ax_g = lerp(from.ax_g, to.ax_g);
+        const ay_g = lerp(from.ay_g, to.ay_g);
+        const az_g = lerp(from.az_g, to.az_g);
+        const frame = {
+            ...from,
+            seq,
+            synthetic: true,
+            ax_g,
+            ay_g,
+            az_g,
+            a_mag: Math.sqrt(ax_g * ax_g + ay_g * ay_g + az_g * az_g),
+            timestamp: lerp(from.timestamp, to.timestamp),
+            sampleTime: lerp(from.sampleTime, to.sampleTime),
+            deviceTimeMs: from.deviceTimeMs !== null && to.deviceTimeMs !== null
+                ? Math.round(lerp(from.deviceTimeMs, to.deviceTimeMs))
+                : null
+        };
+
+        if (from.quat_w !== null && to.quat_w !== null) {
+            const q = slerpQuaternion(
+                { w: from.quat_w, x: from.quat_x, y: from.quat_y, z: from.quat_z },
+                { w: to.quat_w, x: to.quat_x, y: to.quat_y, z: to.quat_z },
+                t
+            );
+            const pyr = this.quaternionToControllerPYR(q);
+            Object.assign(frame, {
+                quat_w: q.w,
+                quat_x: q.x,
+                quat_y: q.y,
+                quat_z: q.z,
+                quat_norm: 1,
+                pitch_deg: pyr.pitch,
+                yaw_deg: pyr.yaw,
+                roll_deg: pyr.roll
+            });
         } else {
-            const pitch_raw = this.readInt16LE(data, 8);
-            const yaw_raw = this.readInt16LE(data, 10);
-            const roll_raw = this.readInt16LE(data, 12);
+            frame.pitch_deg = lerpAngle(from.pitch_deg, to.pitch_deg);
+            frame.yaw_deg = lerpAngle(from.yaw_deg, to.yaw_deg);
+            frame.roll_deg = lerpAngle(from.roll_deg, to.roll_deg);
+        }
+
+        if (from.gx_dps !== null && to.gx_dps !== null) {
+            const gx_dps = lerp(from.gx_dps, to.gx_dps);
+            const gy_dps = lerp(from.gy_dps, to.gy_dps);
+            const gz_dps = lerp(from.gz_dps, to.gz_dps);
+            Object.assign(frame, {
+                gx_dps,
+                gy_dps,
+                gz_dps,
+                gyro_mag_dps: Math.sqrt(gx_dps * gx_dps + gy_dps * gy_dps + gz_dps * gz_dps)
+            });
+        }
+
+        return frame;
+    }
+
+    /**
+     * バッチ内サンプルの時刻間隔（前回フレームより後、受信時刻以前に収める）
+     */
+    getBatchSampleInterval(count, timestamp) {
+        const lastTimestamp = this.frameTimestamps.length > 0
+            ? this.frameTimestamps[this.frameTimestamps.length - 1]
+            : null;
+        if (lastTimestamp === null) return this.DEFAULT_BATCH_SAMPLE_INTERVAL_MS;
+
+        const spacing = Math.max(0, (timestamp - lastTimestamp) / count);
+        return timestamp - lastTimestamp > this.MAX_BATCH_GAP_MS
+            ? Math.min(this.DEFAULT_BATCH_SAMPLE_INTERVAL_MS, spacing)
+            : spacing;
+    }
+
+    /**
+     * @param {Uint8Array} data
+     * @param {number} [timestamp] - 受信時刻（省略時は performance.now()。記録の再生時に指定）
+     * @param {number} [arrivalTime] - 通知の実際の受信時刻（バッチで timestamp が補間値のとき）
+     * @returns {Object|null}
+     */
+    parseFrame(data, timestamp = performance.now(), arrivalTime = timestamp) {
+        const decoder = this.findFrameDecoder(data);
+        if (!decoder) return null;
+
+        const seq = this.getByte(data, 1);
+        if (this.isOutOfOrder(seq)) {
+            this.outOfOrderFrames++;
+            return null;
+        }
+
+        const fields = decoder.decode(this, data);
+        if (!fields) return null;
 
-            pitch_deg = -(pitch_raw / 10.0);
-            yaw_deg = yaw_raw / 10.0;
-            roll_deg = roll_raw / 10.0;
-            flags = this.getByte(data, 14);
+        // 値が異常でも seq は正しいので、欠落（無線の取りこぼし）には数えない
+        this.updateSequenceStats(seq);
+        if (!this.isPlausible(fields)) {
+            this.implausibleFrames++;
+            return null;
         }
 
-        const now = performance.now();
+        const now = timestamp;
         this.frameTimestamps.push(now);
         if (this.frameTimestamps.length > this.MAX_TIMESTAMP_HISTORY) {
             this.frameTimestamps.shift();
         }
 
         return {
+            ...FRAME_FIELD_DEFAULTS,
+            ...fields,
             seq,
+            frameFormat: decoder.format,
+            timestamp: now,
+            sampleTime: this.getSampleTime(fields.deviceTimeMs, now, arrivalTime)
+        };
+    }
+
+    /**
+     * ヘッダー・長さ・CRC トレーラーを確かめてデコーダを選ぶ（登録済みの長さと一致すれば CRC なし）
+     */
+    findFrameDecoder(data) {
+        const length = this.getFrameLength(data);
+        if (length < 2) {
+            this.wrongLengthFrames++;
+            this.rejectedSinceLastSeq++;
+            return null;
+        }
+
+        const header = this.getByte(data, 0);
+        if (!FRAME_HEADERS.has(header)) {
+            this.wrongHeaderFrames++;
+            this.rejectedSinceLastSeq++;
+            return null;
+        }
+
+        const decoder = SensorFrameParser.getFrameDecoder(header, length);
+        if (decoder) return decoder;
+
+        const checksummedDecoder = SensorFrameParser.getFrameDecoder(header, length - 1);
+        if (!checksummedDecoder) {
+            this.wrongLengthFrames++;
+            this.rejectedSinceLastSeq++;
+            return null;
+        }
+        // CRC 不一致の seq バイトは信用できないので、件数だけ欠落から差し引く
+        if (crc8(data, length - 1) !== this.getByte(data, length - 1)) {
+            this.checksumFailures++;
+            this.rejectedSinceLastSeq++;
+            return null;
+        }
+        this.checksummedFrames++;
+        return checksummedDecoder;
+    }
+
+    isOutOfOrder(seq) {
+        if (this.lastSeq === null) return false;
+        const behind = (this.lastSeq - seq + 256) % 256;
+        return behind < this.OUT_OF_ORDER_WINDOW;
+    }
+
+    isPlausible(fields) {
+        if (typeof fields.a_mag === 'number' && fields.a_mag > this.MAX_ACCEL_G) return false;
+        if (typeof fields.quat_norm === 'number' && Math.abs(fields.quat_norm - 1) > this.QUATERNION_NORM_TOLERANCE) return false;
+        return true;
+    }
+
+    getSampleTime(deviceTimeMs, timestamp, arrivalTime) {
+        let sampleTime = timestamp;
+        if (typeof deviceTimeMs === 'number') {
+            this.clockSync.observe(deviceTimeMs, arrivalTime);
+            sampleTime = this.clockSync.toPageTime(deviceTimeMs);
+        }
+
+        // offset の更新で時刻が逆戻りしないようにする
+        if (this.lastSampleTime !== null && sampleTime < this.lastSampleTime) {
+            sampleTime = this.lastSampleTime;
+        }
+        this.lastSampleTime = sampleTime;
+        return sampleTime;
+    }
+
+    // --- デコーダ用の読み取りヘルパー ---
+
+    /**
+     * int16 × 100 (g) の加速度3軸
+     */
+    readAccel(data, offset) {
+        const ax_g = this.readInt16LE(data, offset) / 100.0;
+        const ay_g = this.readInt16LE(data, offset + 2) / 100.0;
+        const az_g = this.readInt16LE(data, offset + 4) / 100.0;
+        return {
             ax_g,
             ay_g,
             az_g,
-            a_mag,
-            pitch_deg,
-            yaw_deg,
-            roll_deg,
-            quat_w,
-            quat_x,
-            quat_y,
-            quat_z,
-            frameFormat,
-            flags,
-            timestamp: now
+            a_mag: Math.sqrt(ax_g * ax_g + ay_g * ay_g + az_g * az_g)
+        };
+    }
+
+    /**
+     * int16 × 10000 のクォータニオンと、そこから求めた controller pitch/yaw/roll
+     */
+    readQuaternionPose(data, offset) {
+        const quat = this.parseQuaternionFrame(data, offset);
+        const pyr = this.quaternionToControllerPYR(quat);
+        return {
+            quat_norm: quat.norm,
+            pitch_deg: pyr.pitch,
+            yaw_deg: pyr.yaw,
+            roll_deg: pyr.roll,
+            quat_w: quat.w,
+            quat_x: quat.x,
+            quat_y: quat.y,
+            quat_z: quat.z
+        };
+    }
+
+    /**
+     * int16 × 10 (deg/s) の角速度3軸（センサー座標系の生値）
+     */
+    readGyro(data, offset) {
+        const gx_dps = this.readInt16LE(data, offset) / 10.0;
+        const gy_dps = this.readInt16LE(data, offset + 2) / 10.0;
+        const gz_dps = this.readInt16LE(data, offset + 4) / 10.0;
+        return {
+            gx_dps,
+            gy_dps,
+            gz_dps,
+            gyro_mag_dps: Math.sqrt(gx_dps * gx_dps + gy_dps * gy_dps + gz_dps * gz_dps)
         };
     }
 
@@ -121,21 +526,22 @@ export class SensorFrameParser {
         if (this.lastSeq !== null) {
             const expectedSeq = (this.lastSeq + 1) % 256;
             if (seq !== expectedSeq) {
-                const dropped = (seq - expectedSeq + 256) % 256;
+                // 届いたが不正だったフレームは原因別に数えているので、無線の欠落には含めない
+                const dropped = Math.max(0, (seq - expectedSeq + 256) % 256 - this.rejectedSinceLastSeq);
                 this.droppedFrames += dropped;
-                
             }
         }
 
         this.lastSeq = seq;
+        this.rejectedSinceLastSeq = 0;
         this.totalFrames++;
     }
 
-    parseQuaternionFrame(data) {
-        let w = this.readInt16LE(data, 8) / 10000.0;
-        let x = this.readInt16LE(data, 10) / 10000.0;
-        let y = this.readInt16LE(data, 12) / 10000.0;
-        let z = this.readInt16LE(data, 14) / 10000.0;
+    parseQuaternionFrame(data, offset = 8) {
+        let w = this.readInt16LE(data, offset) / 10000.0;
+        let x = this.readInt16LE(data, offset + 2) / 10000.0;
+        let y = this.readInt16LE(data, offset + 4) / 10000.0;
+        let z = this.readInt16LE(data, offset + 6) / 10000.0;
 
         const len = Math.sqrt(w * w + x * x + y * y + z * z);
         if (len > 0.000001) {
@@ -161,7 +567,8 @@ export class SensorFrameParser {
         }
 
         this.lastQuaternion = { w, x, y, z };
-        return this.lastQuaternion;
+        // norm は正規化前の長さ（値の妥当性チェック用）
+        return { ...this.lastQuaternion, norm: len };
     }
 
     quaternionToControllerPYR(q) {
@@ -200,6 +607,13 @@ export class SensorFrameParser {
         return angle;
     }
 
+    readUint32LE(data, offset) {
+        return (this.getByte(data, offset) |
+            (this.getByte(data, offset + 1) << 8) |
+            (this.getByte(data, offset + 2) << 16)) +
+            this.getByte(data, offset + 3) * 0x1000000;
+    }
+
     readInt16LE(data, offset) {
         const low = this.getByte(data, offset);
         const high = this.getByte(data, offset + 1);
@@ -234,15 +648,98 @@ export class SensorFrameParser {
             totalFrames: this.totalFrames,
             droppedFrames: this.droppedFrames,
             dropRate: this.getDropRate(),
-            receiveHz: this.getReceiveHz()
+            receiveHz: this.getReceiveHz(),
+            batchCount: this.batchCount,
+            samplesPerBatch: this.batchCount > 0 ? this.batchedSamples / this.batchCount : 0,
+            clock: this.clockSync.getStats(),
+            wrongHeaderFrames: this.wrongHeaderFrames,
+            wrongLengthFrames: this.wrongLengthFrames,
+            checksumFailures: this.checksumFailures,
+            implausibleFrames: this.implausibleFrames,
+            outOfOrderFrames: this.outOfOrderFrames,
+            checksummedFrames: this.checksummedFrames,
+            filledFrames: this.filledFrames
         };
     }
 
     resetStats() {
-        this.lastSeq = null;
+        this.resetStreamState();
         this.totalFrames = 0;
         this.droppedFrames = 0;
+        this.batchCount = 0;
+        this.batchedSamples = 0;
+        this.resetMalformedStats();
+        this.filledFrames = 0;
+    }
+
+    /**
+     * 前のフレームに依存する状態（seq・欠落補間・時刻同期・派生量）だけを捨てる。件数の統計は残す
+     * 記録開始時に呼ぶと、新しいパーサーで再生したときと同じ解析になる
+     */
+    resetStreamState() {
+        this.lastSeq = null;
         this.lastQuaternion = null;
         this.frameTimestamps = [];
+        this.clockSync.reset();
+        this.lastSampleTime = null;
+        this.lastRealFrame = null;
+        this.rejectedSinceLastSeq = 0;
+        this.kinematics.reset();
     }
 }
+
+const EULER15_DECODER = {
+    format: 'euler15',
+    header: SENSOR_FRAME_HEADER,
+    length: 15,
+    decode: (parser, data) => ({
+        ...parser.readAccel(data, 2),
+        pitch_deg: -(parser.readInt16LE(data, 8) / 10.0),
+        yaw_deg: parser.readInt16LE(data, 10) / 10.0,
+        roll_deg: parser.readInt16LE(data, 12) / 10.0,
+        flags: parser.getByte(data, 14)
+    })
+};
+
+const QUAT17_DECODER = {
+    format: 'quat17',
+    header: SENSOR_FRAME_HEADER,
+    length: 17,
+    decode: (parser, data) => ({
+        ...parser.readAccel(data, 2),
+        ...parser.readQuaternionPose(data, 8),
+        flags: parser.getByte(data, 16)
+    })
+};
+
+const GYRO23_DECODER = {
+    format: 'gyro23',
+    header: SENSOR_FRAME_HEADER,
+    length: 23,
+    decode: (parser, data) => ({
+        ...parser.readAccel(data, 2),
+        ...parser.readQuaternionPose(data, 8),
+        ...parser.readGyro(data, 16),
+        flags: parser.getByte(data, 22)
+    })
+};
+
+/**
+ * 末尾に uint32 のコントローラ時刻（ms）を付けた形式
+ */
+function withDeviceTime(decoder) {
+    return {
+        format: `${decoder.format}t`,
+        header: decoder.header,
+        length: decoder.length + 4,
+        decode: (parser, data) => {
+            const fields = decoder.decode(parser, data);
+            return fields && { ...fields, deviceTimeMs: parser.readUint32LE(data, decoder.length) };
+        }
+    };
+}
+
+[EULER15_DECODER, QUAT17_DECODER, GYRO23_DECODER].forEach(decoder => {
+    SensorFrameParser.registerFrameDecoder(decoder);
+    SensorFrameParser.registerFrameDecoder(withDeviceTime(decoder));
+});
@@ -0,0 +1,237 @@
+/**
+ * SensorSessionPlayer.js
+ * SensorSessionRecorder の記録を SensorFrameParser → MotionFilterStage → MotionInterpreter に流し直すクラス
+ *
+ * 記録時に MotionInterpreter へ渡ったフレームだけを、記録時と同じタイムスタンプで渡すため、
+ * 再生速度に関係なく CircleGestureRecognizer / SwingDetector の判定は記録時と一致する。
+ */
+
+import { SensorFrameParser } from './SensorFrameParser.js';
+import { MotionFilterStage } from './MotionFilterStage.js';
+import { MotionInterpreter } from './MotionInterpreter.js';
+import { SESSION_RECORDING_VERSION } from './SensorSessionRecorder.js';
+
+export class SensorSessionPlayer {
+    constructor() {
+        this.recording = null;
+        this.parser = null;
+        this.filterStage = null;
+        this.motionInterpreter = null;
+        this.index = 0;
+        this.timer = null;
+        this.isPlaying = false;
+        this.results = null;
+        // 印テンプレートの定義（SealGestureRecognizer.getDefinitions）。null なら既定のテンプレート
+        this.sealTemplates = null;
+        // コンボの定義（ComboRecognizer.getDefinitions）。null なら既定のコンボ
+        this.comboDefinitions = null;
+
+        // Callbacks
+        this.onFrame = null;
+        this.onEvent = null;
+        this.onComplete = null;
+    }
+
+    /**
+     * 記録を読み込む
+     * @param {Object|string} recording - 記録オブジェクトまたはJSON文字列
+     */
+    load(recording) {
+        const parsed = typeof recording === 'string' ? JSON.parse(recording) : recording;
+        if (!parsed || !Array.isArray(parsed.entries)) {
+            throw new Error('センサー記録の形式が不正です');
+        }
+        if (parsed.version !== SESSION_RECORDING_VERSION) {
+            throw new Error(`未対応の記録バージョンです: ${parsed.version}`);
+        }
+        this.stop();
+        this.recording = parsed;
+        return this;
+    }
+
+    async loadFile(file) {
+        return this.load(await file.text());
+    }
+
+    /**
+     * 再生用の解析パイプラインを新規作成（ライブのゲームとは独立）
+     */
+    createPipeline() {
+        this.parser = new SensorFrameParser();
+        this.filterStage = new MotionFilterStage();
+        this.motionInterpreter = new MotionInterpreter();
+        if (this.sealTemplates) {
+            this.motionInterpreter.sealRecognizer.applyOverrides({ templates: this.sealTemplates });
+        }
+        if (this.comboDefinitions) {
+            this.motionInterpreter.comboRecognizer.applyOverrides({ combos: this.comboDefinitions });
+        }
+        this.index = 0;
+        this.results = { swings: [], circles: [], thrusts: [], seals: [], combos: [], powerModes: [], frames: 0 };
+
+        this.motionInterpreter.onSwingDetected = (swing) => {
+            this.results.swings.push({
+                timestamp: swing.timestamp,
+                intensity: swing.intensity,
+                stroke: swing.stroke,
+                trajectory: swing.trajectory,
+                circleCheck: this.evaluateCircle(swing.trajectory)
+            });
+        };
+        this.motionInterpreter.onCircleDetected = (circle) => {
+            this.results.circles.push(circle);
+        };
+        this.motionInterpreter.onThrustDetected = (thrust) => {
+            this.results.thrusts.push(thrust);
+        };
+        this.motionInterpreter.onSealDetected = (seal) => {
+            this.results.seals.push(seal);
+        };
+        this.motionInterpreter.onComboDetected = (combo) => {
+            this.results.combos.push(combo);
+        };
+        this.motionInterpreter.onPowerModeActivated = (power) => {
+            this.results.powerModes.push(power);
+        };
+    }
+
+    /**
+     * スイング軌跡を円判定にかけた場合の中間量（円が出なかった理由の調査用）
+     */
+    evaluateCircle(trajectory) {
+        const recognizer = this.motionInterpreter.circleRecognizer;
+        const rawPoints = trajectory.map(point => ({
+            pitch: typeof point.rawPitch === 'number' ? point.rawPitch : point.pitch,
+            yaw: typeof point.rawYaw === 'number' ? point.rawYaw : point.yaw,
+            timestamp: point.timestamp
+        }));
+        const metrics = recognizer.calculateBestCircleMetrics(recognizer.unwrapPoints(rawPoints));
+        return { ...metrics, isCircle: recognizer.isCircleMetrics(metrics) };
+    }
+
+    /**
+     * 記録を同期的に最後まで流す（決定論的な再現用）
+     * @returns {Object} 検出結果
+     */
+    runAll() {
+        this.requireRecording();
+        this.createPipeline();
+        while (this.index < this.recording.entries.length) {
+            this.applyEntry(this.recording.entries[this.index++]);
+        }
+        return this.results;
+    }
+
+    /**
+     * 記録時のタイミング（または speed 倍速）で再生
+     * @param {Object} options - { speed: 1 = 等速 }
+     * @returns {Promise<Object>} 検出結果
+     */
+    play(options = {}) {
+        this.requireRecording();
+        const speed = Math.max(0.01, options.speed || 1);
+        this.stop();
+        this.createPipeline();
+        this.isPlaying = true;
+
+        return new Promise((resolve) => {
+            const entries = this.recording.entries;
+            const startedAt = performance.now();
+            const firstT = entries.length > 0 ? entries[0].t : 0;
+
+            const tick = () => {
+                if (!this.isPlaying) return;
+                const elapsed = (performance.now() - startedAt) * speed;
+
+                while (this.index < entries.length && entries[this.index].t - firstT <= elapsed) {
+                    this.applyEntry(entries[this.index++]);
+                }
+
+                if (this.index >= entries.length) {
+                    this.isPlaying = false;
+                    this.timer = null;
+                    if (this.onComplete) this.onComplete(this.results);
+                    resolve(this.results);
+                    return;
+                }
+
+                const waitMs = (entries[this.index].t - firstT - elapsed) / speed;
+                this.timer = setTimeout(tick, Math.max(0, waitMs));
+            };
+
+            tick();
+        });
+    }
+
+    stop() {
+        this.isPlaying = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    applyEntry(entry) {
+        if (entry.kind === 'payload') {
+            this.applyPayload(entry);
+        } else if (entry.kind === 'event') {
+            this.applyEvent(entry);
+        }
+    }
+
+    applyPayload(entry) {
+        // トランスポートで間引かれた通知はパーサーにも届いていない
+        if (!entry.delivered) return;
+
+        const frameT = typeof entry.frameT === 'number' ? entry.frameT : entry.t;
+        const frames = this.parser.parseFrames(this.fromHex(entry.data), frameT)
+            .map(frame => this.filterStage.apply(frame));
+        frames.forEach((frame, i) => {
+            this.results.frames++;
+            const processed = Array.isArray(entry.processed) ? entry.processed[i] : entry.processed;
+            if (processed) {
+                this.motionInterpreter.update(frame);
+            }
+            if (this.onFrame) this.onFrame(frame, entry);
+        });
+    }
+
+    applyEvent(entry) {
+        const data = entry.data || {};
+        switch (entry.type) {
+            case 'calibrate':
+                this.motionInterpreter.calibrate(data.pitch, data.yaw, data.roll, data.gain);
+                break;
+            case 'calibrationCleared':
+                this.motionInterpreter.clearCalibration();
+                break;
+            case 'motionReset':
+                this.motionInterpreter.reset();
+                break;
+            case 'motionFilter':
+                this.filterStage.setConfig(data);
+                break;
+            case 'viewYaw':
+                this.motionInterpreter.setViewYaw(data.yaw);
+                break;
+            case 'gestureProfile':
+                this.motionInterpreter.setGestureProfile(data.profile);
+                break;
+        }
+        if (this.onEvent) this.onEvent(entry);
+    }
+
+    fromHex(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    requireRecording() {
+        if (!this.recording) {
+            throw new Error('センサー記録が読み込まれていません');
+        }
+    }
+}
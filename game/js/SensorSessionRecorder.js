@@ -0,0 +1,138 @@
+/**
+ * SensorSessionRecorder.js
+ * 受信した生センサーペイロードと、キャリブレーション・状態遷移イベントを時系列で記録するクラス
+ *
+ * 記録はダウンロード可能な JSON で、SensorSessionPlayer でそのまま再生できる。
+ * entries は到着順の単一タイムライン:
+ *   { kind: 'payload', t, data(hex), delivered, processed, frameT }
+ *   { kind: 'event', t, type, data }
+ * t / frameT は記録開始からの相対ms。バッチ通知の processed はサンプルごとの配列、frameT は最後のサンプルの時刻。
+ */
+
+export const SESSION_RECORDING_VERSION = 1;
+
+export class SensorSessionRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.startTime = 0;
+        this.meta = {};
+        this.entries = [];
+        this.lastPayloadEntry = null;
+    }
+
+    /**
+     * 記録開始
+     * @param {Object} meta - 記録ファイルに残す付加情報（通信手段など）
+     */
+    start(meta = {}) {
+        this.isRecording = true;
+        this.startTime = performance.now();
+        this.meta = {
+            createdAt: new Date().toISOString(),
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : '',
+            ...meta
+        };
+        this.entries = [];
+        this.lastPayloadEntry = null;
+    }
+
+    stop() {
+        this.isRecording = false;
+        this.lastPayloadEntry = null;
+        return this.toJSON();
+    }
+
+    /**
+     * 生の通知ペイロードを記録（トランスポートでの間引き前）
+     * @param {DataView|Uint8Array} data
+     * @param {number} timestamp - 到着時刻（performance.now()）
+     */
+    recordPayload(data, timestamp) {
+        if (!this.isRecording) return;
+
+        const entry = {
+            kind: 'payload',
+            t: this.toRelative(timestamp),
+            data: this.toHex(data),
+            delivered: false,
+            processed: false,
+            frameT: null
+        };
+        this.entries.push(entry);
+        this.lastPayloadEntry = entry;
+    }
+
+    /**
+     * 直前に記録したペイロードのその後の扱いを追記する
+     * @param {Object} info - { frameTimestamp, processed }
+     */
+    annotateLastPayload(info = {}) {
+        if (!this.isRecording || !this.lastPayloadEntry) return;
+
+        const entry = this.lastPayloadEntry;
+        entry.delivered = true;
+        entry.processed = Array.isArray(info.processed) ? info.processed.map(Boolean) : !!info.processed;
+        if (typeof info.frameTimestamp === 'number') {
+            entry.frameT = this.toRelative(info.frameTimestamp);
+        }
+    }
+
+    /**
+     * キャリブレーションや状態遷移などのイベントを記録
+     * @param {string} type
+     * @param {Object} data
+     */
+    recordEvent(type, data = {}) {
+        if (!this.isRecording) return;
+
+        this.entries.push({
+            kind: 'event',
+            t: this.toRelative(performance.now()),
+            type,
+            data
+        });
+    }
+
+    toRelative(timestamp) {
+        return Math.round((timestamp - this.startTime) * 1000) / 1000;
+    }
+
+    toHex(data) {
+        const bytes = data instanceof Uint8Array
+            ? data
+            : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        let hex = '';
+        for (let i = 0; i < bytes.length; i++) {
+            hex += bytes[i].toString(16).padStart(2, '0');
+        }
+        return hex;
+    }
+
+    toJSON() {
+        return {
+            version: SESSION_RECORDING_VERSION,
+            meta: this.meta,
+            entries: this.entries
+        };
+    }
+
+    getEntryCount() {
+        return this.entries.length;
+    }
+
+    /**
+     * 記録をJSONファイルとしてダウンロード
+     */
+    download(filename) {
+        const name = filename || `sensor-session-${this.meta.createdAt || Date.now()}.json`.replace(/[:]/g, '-');
+        const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
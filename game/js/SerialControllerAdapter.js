@@ -0,0 +1,152 @@
+/**
+ * SerialControllerAdapter.js
+ * WebSerial（USB有線グローブ）経由でセンサーフレーム受信と触覚コマンド送信を行うクラス
+ *
+ * シリアルはバイトストリームのため、上り下りとも1バイトの長さプレフィックスで区切る:
+ *   [len][payload(len bytes)]
+ * 上りの payload は BLE Notify と同じセンサーフレーム（CRC 付きを含む）またはバッチ通知、下りは 2 バイト触覚コマンド。
+ * payload の検証（長さ・CRC）は SensorFrameParser が行い、ここでは先頭バイトで同期外れだけを見る。
+ */
+
+import { ControllerTransport } from './ControllerTransport.js';
+import { SENSOR_FRAME_HEADER, BATCH_NOTIFICATION_HEADER } from './SensorFrameParser.js';
+
+export class SerialControllerAdapter extends ControllerTransport {
+    constructor() {
+        super();
+        this.transportType = 'serial';
+
+        this.BAUD_RATE = 115200;
+        this.PAYLOAD_HEADERS = [SENSOR_FRAME_HEADER, BATCH_NOTIFICATION_HEADER];
+        this.MAX_FRAME_LENGTH = 255; // 長さプレフィックス1バイトの上限（バッチ通知が入る長さ）
+
+        this.port = null;
+        this.reader = null;
+        this.writer = null;
+        this.readLoopPromise = null;
+        this.pendingBytes = [];
+        this.framingErrorCount = 0;
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && !!navigator.serial;
+    }
+
+    /**
+     * シリアルポート接続を開始（ユーザー操作起点）
+     */
+    async connect() {
+        if (!SerialControllerAdapter.isSupported()) {
+            throw new Error('このブラウザはWebSerialに対応していません');
+        }
+
+        this.cancelReconnect();
+        this.isManualDisconnect = false;
+        this.port = await navigator.serial.requestPort();
+        await this.reopen();
+        return true;
+    }
+
+    async reopen() {
+        await this.port.open({ baudRate: this.BAUD_RATE });
+        this.writer = this.port.writable.getWriter();
+        this.pendingBytes = [];
+        this.isConnected = true;
+        this.readLoopPromise = this.readLoop();
+    }
+
+    canReopen() {
+        return !!this.port;
+    }
+
+    async readLoop() {
+        const reader = this.port.readable.getReader();
+        this.reader = reader;
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                if (value) this.consumeBytes(value);
+            }
+        } catch (error) {
+            // ケーブル抜けなど。下で切断として扱う
+        } finally {
+            reader.releaseLock();
+            this.reader = null;
+        }
+
+        if (!this.isManualDisconnect) {
+            await this.closePort();
+            this.handleDisconnect();
+        }
+    }
+
+    /**
+     * 受信チャンクを長さプレフィックスでフレームに切り出す
+     * @param {Uint8Array} chunk
+     */
+    consumeBytes(chunk) {
+        for (let i = 0; i < chunk.length; i++) {
+            this.pendingBytes.push(chunk[i]);
+        }
+
+        while (this.pendingBytes.length > 0) {
+            const length = this.pendingBytes[0];
+            if (length === 0 || length > this.MAX_FRAME_LENGTH) {
+                // 同期外れ: 1バイト捨てて再同期
+                this.pendingBytes.shift();
+                this.framingErrorCount++;
+                continue;
+            }
+            if (this.pendingBytes.length < length + 1) break;
+
+            if (!this.PAYLOAD_HEADERS.includes(this.pendingBytes[1])) {
+                this.pendingBytes.shift();
+                this.framingErrorCount++;
+                continue;
+            }
+
+            const frame = Uint8Array.from(this.pendingBytes.slice(1, length + 1));
+            this.pendingBytes.splice(0, length + 1);
+            this.handleSensorData(frame);
+        }
+    }
+
+    canSendHaptic() {
+        return !!this.writer;
+    }
+
+    async writeHapticValue(command, duration) {
+        const packet = new Uint8Array(command.length + 1);
+        packet[0] = command.length;
+        packet.set(command, 1);
+        return this.writer.write(packet);
+    }
+
+    async closePort() {
+        if (this.reader) {
+            // 読み取りループがロックを解放するまで待ってからポートを閉じる
+            try { await this.reader.cancel(); } catch (e) { }
+            try { await this.readLoopPromise; } catch (e) { }
+        }
+        if (this.writer) {
+            try { this.writer.releaseLock(); } catch (e) { }
+            this.writer = null;
+        }
+        if (this.port) {
+            try { await this.port.close(); } catch (e) { }
+        }
+    }
+
+    closeConnection() {
+        this.closePort();
+    }
+
+    getStats() {
+        return {
+            ...super.getStats(),
+            framingErrorCount: this.framingErrorCount
+        };
+    }
+}
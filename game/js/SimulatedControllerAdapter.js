@@ -0,0 +1,619 @@
+/**
+ * SimulatedControllerAdapter.js
+ * 実機グローブなしで動かすための仮想コントローラ
+ * SensorFrameParser が解釈できる euler15 / quat17 / gyro23 フレームを一定周期で生成する。
+ *
+ * 使い方（コンソール等から）:
+ *   controller.playMotion('slash', { direction: 'horizontal', intensity: 0.8 });
+ *   controller.playMotion('circle', { radiusDeg: 18 });
+ *   controller.playMotion('thrust', { intensity: 0.8 }); // 向きをほとんど変えない突き
+ *   controller.playMotion('seal', { name: 'pentagram', sizeDeg: 40 }); // 印テンプレートをなぞる
+ *   controller.playMotion('walk', { durationMs: 3000 }); // 回転の少ない上下動（誤検出の確認用）
+ *   controller.setNoise({ accelSigma: 0.03, angleSigma: 0.5, dropRate: 0.1 });
+ *   controller.setBatchSize(4); // 4サンプルごとに1回のバッチ通知
+ *   controller.setDeviceTimestamps(true); // 末尾にコントローラ時刻を付ける（euler15t などの形式）
+ *   controller.setChecksum(true); // 末尾に CRC-8 を付ける
+ *   controller.setNoise({ corruptRate: 0.05 }); // 5% のフレームで1ビット化けさせる
+ */
+
+import { ControllerTransport } from './ControllerTransport.js';
+import { CONTROLLER_FLAG_BITS } from './ControllerFlagsMonitor.js';
+import { BATCH_NOTIFICATION_HEADER, crc8 } from './SensorFrameParser.js';
+import { DEFAULT_SEAL_TEMPLATES } from './SealGestureRecognizer.js';
+
+const DEG2RAD = Math.PI / 180;
+
+const FRAME_FORMATS = ['euler15', 'quat17', 'gyro23'];
+
+// 斬撃方向ごとの始点→終点（基準姿勢からの相対角、pitch/yaw）
+const SLASH_PATHS = {
+    horizontal: { from: { pitch: 0, yaw: -1 }, to: { pitch: 0, yaw: 1 } },
+    vertical: { from: { pitch: 1, yaw: 0 }, to: { pitch: -1, yaw: 0 } },
+    diagonal: { from: { pitch: 0.7, yaw: -0.7 }, to: { pitch: -0.7, yaw: 0.7 } }
+};
+
+export class SimulatedControllerAdapter extends ControllerTransport {
+    constructor(options = {}) {
+        super();
+        this.transportType = 'simulator';
+
+        this.frameFormat = options.frameFormat || 'quat17';
+        this.FRAME_RATE_HZ = options.frameRateHz || 50;
+        this.batchSize = options.batchSize || 1;
+        this.includeDeviceTime = !!options.deviceTimestamps;
+        this.includeChecksum = !!options.checksum;
+        this.pendingSamples = [];
+
+        // SwingDetector の閾値に合わせた加速度（g）
+        this.IDLE_ACCEL = 0.03;
+        this.SLASH_BASE_PEAK = 0.62;
+        this.SLASH_PEAK_RANGE = 0.4;
+        this.CIRCLE_ACCEL = 0.8;
+        this.THRUST_BASE_PEAK = 1.3;
+        this.THRUST_PEAK_RANGE = 0.8;
+        this.SEAL_STROKE_ACCEL = 0.75;
+        this.SEAL_STROKE_SPEED_DPS = 200;
+        this.SEAL_TRAVEL_SPEED_DPS = 150;
+
+        // 基準姿勢（controller pitch/yaw/roll）
+        this.basePose = { pitch: 0, yaw: 0, roll: 0 };
+
+        this.noise = { accelSigma: 0, angleSigma: 0, dropRate: 0, corruptRate: 0 };
+        this.flags = CONTROLLER_FLAG_BITS.IMU_CALIBRATED;
+        this.motionQueue = [];
+        this.currentMotion = null;
+        this.seq = 0;
+        this.clockMs = 0;
+        this.lastPose = null;
+        this.emitTimer = null;
+
+        this.emittedFrames = 0;
+        this.injectedDrops = 0;
+        this.injectedCorruptions = 0;
+        this.lastHapticCommand = null;
+        this.simulatedBatteryLevel = 100;
+    }
+
+    async connect() {
+        this.cancelReconnect();
+        this.isManualDisconnect = false;
+        await this.reopen();
+        return true;
+    }
+
+    async reopen() {
+        this.stopEmitting();
+        this.isConnected = true;
+        this.emitTimer = setInterval(() => this.emitFrame(), 1000 / this.FRAME_RATE_HZ);
+        this.updateDeviceInfo({
+            batteryLevel: this.simulatedBatteryLevel,
+            modelNumber: 'SIMULATOR',
+            firmwareRevision: this.frameFormat
+        });
+    }
+
+    canReopen() {
+        return true;
+    }
+
+    closeConnection() {
+        this.stopEmitting();
+    }
+
+    stopEmitting() {
+        if (this.emitTimer) {
+            clearInterval(this.emitTimer);
+            this.emitTimer = null;
+        }
+        this.pendingSamples = [];
+    }
+
+    async writeHapticValue(command, duration) {
+        this.lastHapticCommand = { strength: command[0], duration: command[1], timestamp: performance.now() };
+    }
+
+    // --- Script API ---
+
+    /**
+     * @param {'euler15'|'quat17'|'gyro23'} format
+     */
+    setFrameFormat(format) {
+        this.frameFormat = FRAME_FORMATS.includes(format) ? format : 'quat17';
+        this.pendingSamples = [];
+    }
+
+    /**
+     * @param {boolean} enabled - フレーム末尾に uint32 のコントローラ時刻（ms）を付けるか
+     */
+    setDeviceTimestamps(enabled) {
+        this.includeDeviceTime = !!enabled;
+        this.pendingSamples = [];
+    }
+
+    /**
+     * @param {boolean} enabled - フレーム末尾に CRC-8 を付けるか
+     */
+    setChecksum(enabled) {
+        this.includeChecksum = !!enabled;
+        this.pendingSamples = [];
+    }
+
+    /**
+     * 1回の通知に詰めるサンプル数（1 で単一フレーム通知）
+     * @param {number} size - 1-255
+     */
+    setBatchSize(size) {
+        this.batchSize = Math.max(1, Math.min(255, Math.round(size) || 1));
+        this.pendingSamples = [];
+    }
+
+    /**
+     * バッテリー残量を変更（低残量警告の確認用）
+     * @param {number} level - 0-100 (%)
+     */
+    setBatteryLevel(level) {
+        this.simulatedBatteryLevel = Math.max(0, Math.min(100, Math.round(level)));
+        this.updateDeviceInfo({ batteryLevel: this.simulatedBatteryLevel });
+    }
+
+    /**
+     * flags ビットを変更（ボタン押下などの確認用）
+     * @param {'BUTTON'|'IMU_CALIBRATED'|'LOW_BATTERY'|'MOTION_SATURATED'} name
+     * @param {boolean} on
+     */
+    setFlag(name, on) {
+        const bit = CONTROLLER_FLAG_BITS[name];
+        if (!bit) return;
+        this.flags = on ? (this.flags | bit) : (this.flags & ~bit);
+    }
+
+    setBasePose(pose = {}) {
+        this.basePose = { ...this.basePose, ...pose };
+    }
+
+    /**
+     * ノイズ・欠落の注入設定
+     * @param {Object} noise - { accelSigma (g), angleSigma (deg), dropRate (0-1), corruptRate (0-1) }
+     */
+    setNoise(noise = {}) {
+        this.noise = { ...this.noise, ...noise };
+    }
+
+    /**
+     * 動作をキューに積む
+     * @param {'idle'|'slash'|'circle'|'thrust'|'seal'|'walk'} type
+     * @param {Object} options
+     */
+    playMotion(type, options = {}) {
+        const motion = this.createMotion(type, options);
+        if (motion) this.motionQueue.push(motion);
+        return motion;
+    }
+
+    /**
+     * 複数動作を順に再生 [{ type, ...options }, ...]
+     */
+    playScript(steps = []) {
+        steps.forEach(step => this.playMotion(step.type, step));
+    }
+
+    clearMotions() {
+        this.motionQueue = [];
+        this.currentMotion = null;
+    }
+
+    createMotion(type, options) {
+        switch (type) {
+            case 'idle':
+                return { type, durationMs: options.durationMs ?? 1000, sample: () => this.sampleIdle() };
+            case 'slash':
+                return this.createSlashMotion(options);
+            case 'circle':
+                return this.createCircleMotion(options);
+            case 'thrust':
+                return this.createThrustMotion(options);
+            case 'seal':
+                return this.createSealMotion(options);
+            case 'walk':
+                return this.createWalkMotion(options);
+            default:
+                return null;
+        }
+    }
+
+    createSlashMotion({ direction = 'horizontal', intensity = 0.7, sweepDeg = 40, durationMs = 200, reverse = false } = {}) {
+        const path = SLASH_PATHS[direction] || SLASH_PATHS.horizontal;
+        const from = reverse ? path.to : path.from;
+        const to = reverse ? path.from : path.to;
+        const peak = this.SLASH_BASE_PEAK + this.SLASH_PEAK_RANGE * Math.max(0, Math.min(1, intensity));
+        const heading = Math.atan2(to.pitch - from.pitch, to.yaw - from.yaw);
+
+        return {
+            type: 'slash',
+            durationMs,
+            sample: (t) => {
+                const u = t / durationMs;
+                const eased = 0.5 - 0.5 * Math.cos(Math.PI * u);
+                const accel = Math.max(this.IDLE_ACCEL, peak * Math.sin(Math.PI * u));
+                return {
+                    pitch: (from.pitch + (to.pitch - from.pitch) * eased) * sweepDeg,
+                    yaw: (from.yaw + (to.yaw - from.yaw) * eased) * sweepDeg,
+                    roll: 0,
+                    ax: accel * Math.cos(heading),
+                    ay: accel * Math.sin(heading),
+                    az: 0
+                };
+            }
+        };
+    }
+
+    createCircleMotion({ radiusDeg = 18, durationMs = 900, clockwise = true } = {}) {
+        const rampMs = 80;
+        const sign = clockwise ? 1 : -1;
+
+        return {
+            type: 'circle',
+            durationMs,
+            sample: (t) => {
+                const angle = sign * 2 * Math.PI * (t / durationMs);
+                const ramp = Math.min(1, t / rampMs, (durationMs - t) / rampMs);
+                const accel = Math.max(this.IDLE_ACCEL, this.CIRCLE_ACCEL * ramp);
+                return {
+                    // 上端から描き始め、同じ点に戻る
+                    pitch: radiusDeg * Math.cos(angle),
+                    yaw: radiusDeg * Math.sin(angle),
+                    roll: 0,
+                    ax: accel * Math.cos(angle),
+                    ay: accel * Math.sin(angle),
+                    az: 0
+                };
+            }
+        };
+    }
+
+    /**
+     * 突き: 前方（センサー z 軸）への鋭い加速で、姿勢は数度しか動かない
+     */
+    createThrustMotion({ intensity = 0.7, durationMs = 160, wobbleDeg = 3 } = {}) {
+        const peak = this.THRUST_BASE_PEAK + this.THRUST_PEAK_RANGE * Math.max(0, Math.min(1, intensity));
+
+        return {
+            type: 'thrust',
+            durationMs,
+            sample: (t) => {
+                const u = t / durationMs;
+                return {
+                    pitch: -wobbleDeg * Math.sin(Math.PI * u),
+                    yaw: 0,
+                    roll: 0,
+                    ax: 0,
+                    ay: 0,
+                    az: Math.max(this.IDLE_ACCEL, peak * Math.sin(Math.PI * u))
+                };
+            }
+        };
+    }
+
+    /**
+     * 印: テンプレートの画を一定速度でなぞる。画の間は加速度を落として次の画の始点へ戻る
+     */
+    createSealMotion({ name = 'pentagram', sizeDeg = 40 } = {}) {
+        const template = DEFAULT_SEAL_TEMPLATES[name] || DEFAULT_SEAL_TEMPLATES.pentagram;
+        const points = template.strokes.flat();
+        const minX = Math.min(...points.map(p => p[0]));
+        const maxX = Math.max(...points.map(p => p[0]));
+        const minY = Math.min(...points.map(p => p[1]));
+        const maxY = Math.max(...points.map(p => p[1]));
+        const scale = sizeDeg / (Math.max(maxX - minX, maxY - minY) || 1);
+        const toPose = ([x, y]) => ({ yaw: (x - (minX + maxX) / 2) * scale, pitch: (y - (minY + maxY) / 2) * scale });
+
+        const segments = [];
+        let last = null;
+        template.strokes.forEach(stroke => {
+            const poses = stroke.map(toPose);
+            if (last) segments.push({ from: last, to: poses[0], penDown: false });
+            for (let i = 1; i < poses.length; i++) {
+                segments.push({ from: poses[i - 1], to: poses[i], penDown: true });
+            }
+            last = poses[poses.length - 1];
+        });
+        let t = 0;
+        segments.forEach(segment => {
+            const length = Math.hypot(segment.to.yaw - segment.from.yaw, segment.to.pitch - segment.from.pitch);
+            const speed = segment.penDown ? this.SEAL_STROKE_SPEED_DPS : this.SEAL_TRAVEL_SPEED_DPS;
+            segment.startMs = t;
+            segment.durationMs = Math.max(20, length / speed * 1000);
+            t += segment.durationMs;
+        });
+
+        return {
+            type: 'seal',
+            durationMs: t,
+            sample: (time) => {
+                const segment = segments.find(s => time < s.startMs + s.durationMs) || segments[segments.length - 1];
+                const u = Math.min(1, (time - segment.startMs) / segment.durationMs);
+                const heading = Math.atan2(segment.to.pitch - segment.from.pitch, segment.to.yaw - segment.from.yaw);
+                const accel = segment.penDown ? this.SEAL_STROKE_ACCEL : this.IDLE_ACCEL;
+                return {
+                    pitch: segment.from.pitch + (segment.to.pitch - segment.from.pitch) * u,
+                    yaw: segment.from.yaw + (segment.to.yaw - segment.from.yaw) * u,
+                    roll: 0,
+                    ax: accel * Math.cos(heading),
+                    ay: accel * Math.sin(heading),
+                    az: 0
+                };
+            }
+        };
+    }
+
+    /**
+     * 歩行時の腕の上下: 加速度は斬撃の閾値を超えるが、姿勢はほとんど回らない
+     */
+    createWalkMotion({ durationMs = 2000, stepHz = 2, bounceG = 0.8, swayDeg = 1.5 } = {}) {
+        return {
+            type: 'walk',
+            durationMs,
+            sample: (t) => {
+                const phase = 2 * Math.PI * stepHz * (t / 1000);
+                return {
+                    pitch: swayDeg * Math.sin(phase),
+                    yaw: 0,
+                    roll: 0,
+                    ax: 0,
+                    ay: bounceG * Math.abs(Math.sin(phase)),
+                    az: 0
+                };
+            }
+        };
+    }
+
+    sampleIdle() {
+        // 手の微小な揺れ
+        const t = this.clockMs / 1000;
+        return {
+            pitch: Math.sin(t * 1.3) * 0.6,
+            yaw: Math.sin(t * 0.9) * 0.8,
+            roll: 0,
+            ax: this.IDLE_ACCEL,
+            ay: 0,
+            az: 0
+        };
+    }
+
+    // --- Frame generation ---
+
+    emitFrame() {
+        const dt = 1000 / this.FRAME_RATE_HZ;
+        this.clockMs += dt;
+
+        const sample = this.advanceMotion(dt);
+        const seq = this.seq;
+        this.seq = (this.seq + 1) % 256;
+
+        if (this.noise.dropRate > 0 && Math.random() < this.noise.dropRate) {
+            this.injectedDrops++;
+            return;
+        }
+
+        const pose = {
+            pitch: this.basePose.pitch + sample.pitch + this.gaussian(this.noise.angleSigma),
+            yaw: this.normalize180(this.basePose.yaw + sample.yaw + this.gaussian(this.noise.angleSigma)),
+            roll: this.basePose.roll + sample.roll + this.gaussian(this.noise.angleSigma)
+        };
+        const accel = {
+            x: sample.ax + this.gaussian(this.noise.accelSigma),
+            y: sample.ay + this.gaussian(this.noise.accelSigma),
+            z: sample.az + this.gaussian(this.noise.accelSigma)
+        };
+
+        const gyro = this.estimateGyro(pose);
+
+        let frame;
+        if (this.frameFormat === 'euler15') {
+            frame = this.encodeEuler15(seq, accel, pose);
+        } else if (this.frameFormat === 'gyro23') {
+            frame = this.encodeGyro23(seq, accel, pose, gyro);
+        } else {
+            frame = this.encodeQuat17(seq, accel, pose);
+        }
+        if (this.includeDeviceTime) {
+            frame = this.appendDeviceTime(frame);
+        }
+        if (this.includeChecksum) {
+            frame = this.appendChecksum(frame);
+        }
+        if (this.noise.corruptRate > 0 && Math.random() < this.noise.corruptRate) {
+            this.corruptFrame(frame);
+        }
+
+        this.emittedFrames++;
+        if (this.batchSize <= 1) {
+            this.handleSensorData(frame);
+            return;
+        }
+
+        this.pendingSamples.push(frame);
+        if (this.pendingSamples.length >= this.batchSize) {
+            this.handleSensorData(this.encodeBatch(this.pendingSamples));
+            this.pendingSamples = [];
+        }
+    }
+
+    /**
+     * 仮想コントローラの時刻は送信周期どおりに進む clockMs
+     */
+    appendDeviceTime(frame) {
+        const stamped = new Uint8Array(frame.length + 4);
+        stamped.set(frame);
+        const time = Math.round(this.clockMs) >>> 0;
+        stamped[frame.length] = time & 0xff;
+        stamped[frame.length + 1] = (time >>> 8) & 0xff;
+        stamped[frame.length + 2] = (time >>> 16) & 0xff;
+        stamped[frame.length + 3] = (time >>> 24) & 0xff;
+        return stamped;
+    }
+
+    /**
+     * CRC-8 はヘッダーを含む全バイトから求める（バッチでも各サンプルに付いたまま送る）
+     */
+    appendChecksum(frame) {
+        const checked = new Uint8Array(frame.length + 1);
+        checked.set(frame);
+        checked[frame.length] = crc8(frame, frame.length);
+        return checked;
+    }
+
+    /**
+     * 無線の化けを模して seq より後ろの1ビットを反転する（CRC を付けていれば受信側で検出される）
+     */
+    corruptFrame(frame) {
+        const index = 2 + Math.floor(Math.random() * (frame.length - 2));
+        frame[index] ^= 1 << Math.floor(Math.random() * 8);
+        this.injectedCorruptions++;
+    }
+
+    /**
+     * 同じ形式のフレームを1回のバッチ通知にまとめる（各サンプルはヘッダーを除く）
+     */
+    encodeBatch(frames) {
+        const sampleLength = frames[0].length - 1;
+        const batch = new Uint8Array(3 + frames.length * sampleLength);
+        batch[0] = BATCH_NOTIFICATION_HEADER;
+        batch[1] = frames.length;
+        batch[2] = frames[0][0];
+        frames.forEach((frame, i) => {
+            batch.set(frame.subarray(1), 3 + i * sampleLength);
+        });
+        return batch;
+    }
+
+    advanceMotion(dt) {
+        if (!this.currentMotion && this.motionQueue.length > 0) {
+            this.currentMotion = { ...this.motionQueue.shift(), elapsedMs: 0 };
+        }
+
+        if (!this.currentMotion) {
+            return this.sampleIdle();
+        }
+
+        const motion = this.currentMotion;
+        motion.elapsedMs += dt;
+        const sample = motion.sample(Math.min(motion.elapsedMs, motion.durationMs));
+        if (motion.elapsedMs >= motion.durationMs) {
+            this.currentMotion = null;
+        }
+        return sample;
+    }
+
+    encodeEuler15(seq, accel, pose) {
+        const frame = new Uint8Array(15);
+        frame[0] = 0x53;
+        frame[1] = seq;
+        this.writeInt16LE(frame, 2, accel.x * 100);
+        this.writeInt16LE(frame, 4, accel.y * 100);
+        this.writeInt16LE(frame, 6, accel.z * 100);
+        // SensorFrameParser は euler15 の pitch を符号反転して読む
+        this.writeInt16LE(frame, 8, -pose.pitch * 10);
+        this.writeInt16LE(frame, 10, pose.yaw * 10);
+        this.writeInt16LE(frame, 12, pose.roll * 10);
+        frame[14] = this.flags;
+        return frame;
+    }
+
+    /**
+     * 直前に送った姿勢との差分から角速度（deg/s）を作る
+     * controller pitch = X回転, yaw = -Z回転, roll = Y回転 に合わせる
+     */
+    estimateGyro(pose) {
+        const last = this.lastPose;
+        this.lastPose = { ...pose, clockMs: this.clockMs };
+        if (!last || this.clockMs <= last.clockMs) return { x: 0, y: 0, z: 0 };
+
+        const rate = 1000 / (this.clockMs - last.clockMs);
+        return {
+            x: (pose.pitch - last.pitch) * rate,
+            y: (pose.roll - last.roll) * rate,
+            z: -this.normalize180(pose.yaw - last.yaw) * rate
+        };
+    }
+
+    encodeGyro23(seq, accel, pose, gyro) {
+        const frame = new Uint8Array(23);
+        frame.set(this.encodeQuat17(seq, accel, pose).subarray(0, 16));
+        this.writeInt16LE(frame, 16, gyro.x * 10);
+        this.writeInt16LE(frame, 18, gyro.y * 10);
+        this.writeInt16LE(frame, 20, gyro.z * 10);
+        frame[22] = this.flags;
+        return frame;
+    }
+
+    encodeQuat17(seq, accel, pose) {
+        const q = this.controllerPYRToQuaternion(pose);
+        const frame = new Uint8Array(17);
+        frame[0] = 0x53;
+        frame[1] = seq;
+        this.writeInt16LE(frame, 2, accel.x * 100);
+        this.writeInt16LE(frame, 4, accel.y * 100);
+        this.writeInt16LE(frame, 6, accel.z * 100);
+        this.writeInt16LE(frame, 8, q.w * 10000);
+        this.writeInt16LE(frame, 10, q.x * 10000);
+        this.writeInt16LE(frame, 12, q.y * 10000);
+        this.writeInt16LE(frame, 14, q.z * 10000);
+        frame[16] = this.flags;
+        return frame;
+    }
+
+    /**
+     * SensorFrameParser.quaternionToControllerPYR の逆変換
+     * controller pitch = X回転, yaw = -Z回転, roll = Y回転（ZYX順）
+     */
+    controllerPYRToQuaternion({ pitch, yaw, roll }) {
+        const halfX = pitch * DEG2RAD / 2;
+        const halfY = roll * DEG2RAD / 2;
+        const halfZ = -yaw * DEG2RAD / 2;
+        const cx = Math.cos(halfX), sx = Math.sin(halfX);
+        const cy = Math.cos(halfY), sy = Math.sin(halfY);
+        const cz = Math.cos(halfZ), sz = Math.sin(halfZ);
+
+        return {
+            w: cx * cy * cz + sx * sy * sz,
+            x: sx * cy * cz - cx * sy * sz,
+            y: cx * sy * cz + sx * cy * sz,
+            z: cx * cy * sz - sx * sy * cz
+        };
+    }
+
+    writeInt16LE(frame, offset, value) {
+        const clamped = Math.max(-32768, Math.min(32767, Math.round(value)));
+        const unsigned = clamped < 0 ? clamped + 65536 : clamped;
+        frame[offset] = unsigned & 0xff;
+        frame[offset + 1] = (unsigned >> 8) & 0xff;
+    }
+
+    gaussian(sigma) {
+        if (!sigma) return 0;
+        const u = 1 - Math.random();
+        const v = Math.random();
+        return sigma * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    normalize180(angle) {
+        while (angle > 180) angle -= 360;
+        while (angle <= -180) angle += 360;
+        return angle;
+    }
+
+    getStats() {
+        return {
+            ...super.getStats(),
+            frameFormat: this.frameFormat,
+            batchSize: this.batchSize,
+            deviceTimestamps: this.includeDeviceTime,
+            checksum: this.includeChecksum,
+            emittedFrames: this.emittedFrames,
+            injectedDrops: this.injectedDrops,
+            injectedCorruptions: this.injectedCorruptions,
+            currentMotion: this.currentMotion ? this.currentMotion.type : 'idle'
+        };
+    }
+}
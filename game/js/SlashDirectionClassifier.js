@@ -0,0 +1,90 @@
+/**
+ * SlashDirectionClassifier.js
+ * 斬撃の軌跡（相対 pitch/yaw）を8方向（↑ ↗ → ↘ ↓ ↙ ← ↖）に分類するクラス
+ *
+ * 向きは始点→終点（yaw が右、pitch が上）の角度を45°ごとの区間に割り当てる。
+ * confidence は区間の中心に近いほど、また始点→終点の距離が長いほど高い（0〜1）。
+ * 軌跡が始点→終点の直線から弦の長さの CURVE_DEVIATION_RATIO 以上離れたら曲がった斬撃とする。
+ */
+
+// 角度は → を 0° として反時計回り
+export const SLASH_DIRECTIONS = [
+    { name: 'right', symbol: '→', angle: 0 },
+    { name: 'up-right', symbol: '↗', angle: 45 },
+    { name: 'up', symbol: '↑', angle: 90 },
+    { name: 'up-left', symbol: '↖', angle: 135 },
+    { name: 'left', symbol: '←', angle: 180 },
+    { name: 'down-left', symbol: '↙', angle: -135 },
+    { name: 'down', symbol: '↓', angle: -90 },
+    { name: 'down-right', symbol: '↘', angle: -45 }
+];
+
+export class SlashDirectionClassifier {
+    constructor() {
+        // 弦がこれ以上あれば距離による confidence の減点なし
+        this.CONFIDENT_CHORD_DEG = 20;
+        this.CURVE_DEVIATION_RATIO = 0.25;
+    }
+
+    /**
+     * @param {Array<{pitch: number, yaw: number}>} trajectory - SwingDetector の軌跡（相対角）
+     * @returns {{direction: string, symbol: string, angle: number, confidence: number,
+     *   arcLength: number, chordLength: number, curved: boolean, curvature: number}|null}
+     *   点が2つ未満、または動いていなければ null
+     */
+    classify(trajectory) {
+        if (!trajectory || trajectory.length < 2) return null;
+
+        const first = trajectory[0];
+        const last = trajectory[trajectory.length - 1];
+        const dx = this.unwrapAngle(last.yaw - first.yaw);
+        const dy = last.pitch - first.pitch;
+        const chordLength = Math.hypot(dx, dy);
+
+        let arcLength = 0;
+        for (let i = 1; i < trajectory.length; i++) {
+            arcLength += Math.hypot(
+                this.unwrapAngle(trajectory[i].yaw - trajectory[i - 1].yaw),
+                trajectory[i].pitch - trajectory[i - 1].pitch
+            );
+        }
+        if (chordLength < 1e-6) return null;
+
+        const angle = Math.atan2(dy, dx) * 180 / Math.PI;
+        const sector = SLASH_DIRECTIONS[((Math.round(angle / 45) % 8) + 8) % 8];
+        const offset = Math.abs(this.unwrapAngle(angle - sector.angle));
+        const confidence = (1 - offset / 45) * Math.min(1, chordLength / this.CONFIDENT_CHORD_DEG);
+
+        const curvature = this.calculateMaxDeviation(trajectory, first, dx, dy, chordLength) / chordLength;
+
+        return {
+            direction: sector.name,
+            symbol: sector.symbol,
+            angle,
+            confidence,
+            arcLength,
+            chordLength,
+            curved: curvature >= this.CURVE_DEVIATION_RATIO,
+            curvature
+        };
+    }
+
+    /**
+     * 始点→終点の直線から最も離れた点までの距離（deg）
+     */
+    calculateMaxDeviation(trajectory, first, dx, dy, chordLength) {
+        let maxDeviation = 0;
+        trajectory.forEach(point => {
+            const px = this.unwrapAngle(point.yaw - first.yaw);
+            const py = point.pitch - first.pitch;
+            maxDeviation = Math.max(maxDeviation, Math.abs(px * dy - py * dx) / chordLength);
+        });
+        return maxDeviation;
+    }
+
+    unwrapAngle(angle) {
+        while (angle > 180) angle -= 360;
+        while (angle < -180) angle += 360;
+        return angle;
+    }
+}
@@ -1,8 +1,17 @@
 /**
  * SwingDetector.js
  * Detects slash swings from acceleration and controller pitch/yaw/roll.
+ * 出した斬撃は SlashDirectionClassifier で8方向に分類する（swing.stroke）
  */
 
+import { SlashDirectionClassifier } from './SlashDirectionClassifier.js';
+import { MotionKinematics } from './MotionKinematics.js';
+
+// 個人の調整プロファイル（GestureTuningSession）で上書きできる閾値
+export const TUNABLE_SWING_THRESHOLDS = [
+    'A_START', 'A_END', 'DA_START', 'T_MIN', 'T_COOLDOWN', 'A_MAX', 'OMEGA_START', 'SHARP_TURN_ANGLE_DEG'
+];
+
 export class SwingDetector {
     constructor() {
         // Thresholds
@@ -12,17 +21,21 @@ export class SwingDetector {
         this.T_MIN = 60;          // ms
         this.T_COOLDOWN = 220;    // ms
         this.A_MAX = 1.00;        // g
+        // 回転を伴わない加速（歩行・腕の上下）では始めない。角速度の無い形式では判定しない
+        this.OMEGA_START = 120;   // deg/s
 
         // Multi-slash split thresholds
         this.SHARP_TURN_ANGLE_DEG = 135;
         this.TURN_VECTOR_MIN_DEG = 4;
         this.MIN_SPLIT_INTERVAL = 60;
+        this.defaultThresholds = this.getThresholds();
 
         // State
         this.state = 'Idle'; // Idle, SwingActive, Cooldown
         this.startTime = 0;
         this.cooldownEndTime = 0;
         this.lastIntensity = 0;
+        this.lastStroke = null;
 
         this.trajectory = [];
         this.prevAMag = 0;
@@ -36,6 +49,8 @@ export class SwingDetector {
         this.onSwingDetected = null;
         this.onTrajectoryUpdate = null;
         this.onSharpTurnSwingDetected = null;
+
+        this.directionClassifier = new SlashDirectionClassifier();
     }
 
     update(frame, now, relativePYR) {
@@ -44,7 +59,7 @@ export class SwingDetector {
 
         switch (this.state) {
             case 'Idle':
-                if (a_mag >= this.A_START && da_mag >= this.DA_START && now >= this.cooldownEndTime) {
+                if (a_mag >= this.A_START && da_mag >= this.DA_START && now >= this.cooldownEndTime && this.isRotatingForSwing(frame)) {
                     this.startSwing(now, a_mag);
                 }
                 break;
@@ -64,6 +79,14 @@ export class SwingDetector {
         this.prevAMag = a_mag;
     }
 
+    /**
+     * 角速度の無い形式（euler15）は回転を確かめずに加速度だけで判定する
+     */
+    isRotatingForSwing(frame) {
+        const angularSpeed = MotionKinematics.getAngularSpeed(frame);
+        return angularSpeed === null || angularSpeed >= this.OMEGA_START;
+    }
+
     startSwing(now, startAMag = 0) {
         this.state = 'SwingActive';
         this.startTime = now;
@@ -241,6 +264,8 @@ export class SwingDetector {
 
         const intensity = this.calculateIntensity(this.peakAMag);
         this.lastIntensity = intensity;
+        const stroke = this.directionClassifier.classify(this.trajectory);
+        this.lastStroke = stroke;
 
         const lastPt = this.trajectory[this.trajectory.length - 1];
         const attackDir = this.pyrToDirection(lastPt.pitch, lastPt.yaw);
@@ -249,6 +274,7 @@ export class SwingDetector {
             this.onSwingDetected({
                 intensity,
                 direction: attackDir,
+                stroke,
                 trajectory: [...this.trajectory],
                 timestamp: now
             });
@@ -276,11 +302,32 @@ export class SwingDetector {
         return angle;
     }
 
+    getThresholds() {
+        const thresholds = {};
+        TUNABLE_SWING_THRESHOLDS.forEach(key => {
+            thresholds[key] = this[key];
+        });
+        return thresholds;
+    }
+
+    /**
+     * 調整プロファイルの閾値で上書きする（null なら既定値に戻す）
+     * @param {Object|null} thresholds - TUNABLE_SWING_THRESHOLDS のうち数値の項目だけ使う
+     */
+    applyProfile(thresholds) {
+        Object.assign(this, this.defaultThresholds);
+        if (!thresholds) return;
+        TUNABLE_SWING_THRESHOLDS.forEach(key => {
+            if (typeof thresholds[key] === 'number') this[key] = thresholds[key];
+        });
+    }
+
     reset() {
         this.state = 'Idle';
         this.startTime = 0;
         this.cooldownEndTime = 0;
         this.lastIntensity = 0;
+        this.lastStroke = null;
         this.trajectory = [];
         this.prevAMag = 0;
         this.peakAMag = 0;
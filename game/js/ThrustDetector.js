@@ -0,0 +1,162 @@
+/**
+ * ThrustDetector.js
+ * 突き（前方への刺突）を検出するクラス
+ *
+ * 加速度が A_START を超えてから A_END を下回るまでを1回の動きとして追い、
+ * ピークが A_PEAK_MIN 以上で、その間の pitch/yaw の振れ幅が MAX_SWEEP_DEG 以内なら突きとする。
+ * 斬撃は同じ強さでも大きく振れるため、振れ幅で区別できる。
+ * 判定が決まるまでの間は isCandidate() が true になり、MotionInterpreter はその間の斬撃を保留する。
+ */
+
+export class ThrustDetector {
+    constructor() {
+        // Thresholds
+        this.A_START = 0.60;        // g
+        this.A_END = 0.50;          // g
+        this.DA_START = 0.10;       // g
+        this.A_PEAK_MIN = 1.20;     // g（歩行の上下動や弱い斬撃より強い）
+        this.A_MAX = 2.20;          // g（強さ 1 になるピーク）
+        this.T_MIN = 50;            // ms
+        this.T_MAX = 320;           // ms
+        this.T_COOLDOWN = 250;      // ms
+        this.MAX_SWEEP_DEG = 15;
+
+        // State: Idle, Tracking, Cooldown
+        this.reset();
+
+        // Callbacks
+        this.onThrustDetected = null;
+    }
+
+    update(frame, now, relativePYR) {
+        const a_mag = frame.a_mag;
+        const da_mag = a_mag - this.prevAMag;
+
+        switch (this.state) {
+            case 'Idle':
+                if (a_mag >= this.A_START && da_mag >= this.DA_START && now >= this.cooldownEndTime) {
+                    this.startTracking(now, a_mag, relativePYR);
+                }
+                break;
+
+            case 'Tracking':
+                this.updateTracking(now, a_mag, relativePYR);
+                break;
+
+            case 'Cooldown':
+                if (now >= this.cooldownEndTime) {
+                    this.state = 'Idle';
+                }
+                break;
+        }
+
+        this.prevAMag = a_mag;
+    }
+
+    startTracking(now, a_mag, relativePYR) {
+        this.state = 'Tracking';
+        this.startTime = now;
+        this.startPose = { pitch: relativePYR.pitch, yaw: relativePYR.yaw };
+        this.peakAMag = a_mag;
+        this.peakPose = this.startPose;
+        this.sweepDeg = 0;
+        this.isPossibleThrust = true;
+    }
+
+    updateTracking(now, a_mag, relativePYR) {
+        const duration = now - this.startTime;
+        const sweep = Math.hypot(
+            this.unwrapAngle(relativePYR.yaw - this.startPose.yaw),
+            relativePYR.pitch - this.startPose.pitch
+        );
+        this.sweepDeg = Math.max(this.sweepDeg, sweep);
+        if (a_mag > this.peakAMag) {
+            this.peakAMag = a_mag;
+            this.peakPose = { pitch: relativePYR.pitch, yaw: relativePYR.yaw };
+        }
+
+        // 大きく振れた・長すぎる動きは斬撃などとみなし、加速が収まるまで追うだけにする
+        if (this.sweepDeg > this.MAX_SWEEP_DEG || duration > this.T_MAX) {
+            this.isPossibleThrust = false;
+        }
+
+        if (a_mag > this.A_END) return;
+
+        if (this.isPossibleThrust && duration >= this.T_MIN && this.peakAMag >= this.A_PEAK_MIN) {
+            this.emitThrust(now, duration);
+            this.state = 'Cooldown';
+            this.cooldownEndTime = now + this.T_COOLDOWN;
+        } else {
+            this.state = 'Idle';
+        }
+        this.isPossibleThrust = false;
+    }
+
+    emitThrust(now, duration) {
+        const intensity = this.calculateIntensity(this.peakAMag);
+        this.lastIntensity = intensity;
+        this.lastThrust = { startTime: this.startTime, endTime: now };
+
+        if (this.onThrustDetected) {
+            this.onThrustDetected({
+                intensity,
+                // 狙いはピーク時の向き
+                pitch: this.peakPose.pitch,
+                yaw: this.peakPose.yaw,
+                direction: this.pyrToDirection(this.peakPose.pitch, this.peakPose.yaw),
+                peak: this.peakAMag,
+                sweepDeg: this.sweepDeg,
+                durationMs: duration,
+                timestamp: now
+            });
+        }
+    }
+
+    /**
+     * 突きか斬撃かがまだ決まっていない
+     */
+    isCandidate() {
+        return this.state === 'Tracking' && this.isPossibleThrust;
+    }
+
+    /**
+     * 直近の突きと時間が重なっているか（同じ動きから出た斬撃を捨てる判定）
+     */
+    overlapsLastThrust(startTime, endTime) {
+        if (!this.lastThrust) return false;
+        return startTime <= this.lastThrust.endTime && endTime >= this.lastThrust.startTime;
+    }
+
+    calculateIntensity(aMag) {
+        return Math.max(0, Math.min(1, (aMag - this.A_PEAK_MIN) / (this.A_MAX - this.A_PEAK_MIN)));
+    }
+
+    pyrToDirection(pitch, yaw) {
+        const pitchRad = pitch * Math.PI / 180;
+        const yawRad = yaw * Math.PI / 180;
+        const x = Math.cos(pitchRad) * Math.sin(yawRad);
+        const y = Math.sin(pitchRad);
+        const z = Math.cos(pitchRad) * Math.cos(yawRad);
+        return { x, y, z };
+    }
+
+    unwrapAngle(angle) {
+        while (angle > 180) angle -= 360;
+        while (angle < -180) angle += 360;
+        return angle;
+    }
+
+    reset() {
+        this.state = 'Idle';
+        this.startTime = 0;
+        this.cooldownEndTime = 0;
+        this.prevAMag = 0;
+        this.peakAMag = 0;
+        this.startPose = null;
+        this.peakPose = null;
+        this.sweepDeg = 0;
+        this.isPossibleThrust = false;
+        this.lastIntensity = 0;
+        this.lastThrust = null;
+    }
+}
@@ -0,0 +1,50 @@
+/**
+ * TwoHandGestureDetector.js
+ * 左右のグローブから来た手別ジェスチャを突き合わせ、両手同時の斬撃を検出するクラス
+ */
+
+export class TwoHandGestureDetector {
+    constructor() {
+        // 左右の斬撃をこの時間差以内なら「同時」とみなす
+        this.SIMULTANEOUS_WINDOW_MS = 150;
+
+        this.lastSwings = { right: null, left: null };
+
+        // Callbacks
+        this.onTwoHandSlash = null; // ({ right, left, deltaMs, intensity })
+    }
+
+    /**
+     * 手別の斬撃を登録
+     * @param {Object} swing - MotionInterpreter の斬撃に hand を付けたもの
+     */
+    addSwing(swing) {
+        const hand = swing.hand;
+        if (hand !== 'right' && hand !== 'left') return;
+
+        const otherHand = hand === 'right' ? 'left' : 'right';
+        const other = this.lastSwings[otherHand];
+
+        if (other && Math.abs(swing.timestamp - other.timestamp) <= this.SIMULTANEOUS_WINDOW_MS) {
+            // 1組の斬撃は1回だけ使う
+            this.lastSwings[otherHand] = null;
+            this.lastSwings[hand] = null;
+
+            if (this.onTwoHandSlash) {
+                this.onTwoHandSlash({
+                    [hand]: swing,
+                    [otherHand]: other,
+                    deltaMs: Math.abs(swing.timestamp - other.timestamp),
+                    intensity: Math.max(swing.intensity, other.intensity)
+                });
+            }
+            return;
+        }
+
+        this.lastSwings[hand] = swing;
+    }
+
+    reset() {
+        this.lastSwings = { right: null, left: null };
+    }
+}
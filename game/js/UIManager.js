@@ -4,6 +4,7 @@
  */
 
 import { soundManager } from './SoundManager.js';
+import { SLASH_DIRECTIONS } from './SlashDirectionClassifier.js';
 
 const TUTORIAL_MAX_FPS = 30;
 const TUTORIAL_MIN_FRAME_MS = 1000 / TUTORIAL_MAX_FPS;
@@ -17,6 +18,11 @@ export class UIManager {
         this._barActiveCountCache = new WeakMap();
         this.circleFreezeOverlay = null;
         this.circleFreezeTimer = null;
+        this.reconnectOverlay = null;
+        this.reconnectCountdownTimer = null;
+        this.sessionRecordButton = null;
+        this.controllerWarningToast = null;
+        this.controllerWarningTimer = null;
         this.tutorialTimer = null;
         this.tutorialRaf = null;
         this.tutorialActive = false;
@@ -83,6 +89,13 @@ export class UIManager {
             bleStatus: document.getElementById('bleStatus'),
             bleError: document.getElementById('bleError'),
             bleFooterStatus: document.getElementById('bleFooterStatus'),
+            controllerTransportSelect: document.getElementById('controllerTransportSelect'),
+            controllerBridgeUrl: document.getElementById('controllerBridgeUrl'),
+            controllerDeviceInfo: document.getElementById('controllerDeviceInfo'),
+            reconnectRememberedButton: document.getElementById('reconnectRememberedButton'),
+            reconnectRememberedName: document.getElementById('reconnectRememberedName'),
+            connectLeftGloveButton: document.getElementById('connectLeftGloveButton'),
+            leftGloveStatus: document.getElementById('leftGloveStatus'),
             bleError: document.getElementById('bleError'),
 
             // Calibrate
@@ -93,6 +106,20 @@ export class UIManager {
             calibYawBars: document.getElementById('calibYawBars'),
             calibRollBars: document.getElementById('calibRollBars'),
             startCalibrationButton: document.getElementById('startCalibrationButton'),
+            calibrationInstructionText: document.getElementById('calibrationInstructionText'),
+            calibrationInstructionSubText: document.getElementById('calibrationInstructionSubText'),
+            calibrationPointsButton: document.getElementById('calibrationPointsButton'),
+            calibrationPointsLabel: document.getElementById('calibrationPointsLabel'),
+            gestureTuningButton: document.getElementById('gestureTuningButton'),
+            gestureProfileLabel: document.getElementById('gestureProfileLabel'),
+            gestureTuningPanel: document.getElementById('gestureTuningPanel'),
+            gestureTuningPrompt: document.getElementById('gestureTuningPrompt'),
+            gestureTuningProgress: document.getElementById('gestureTuningProgress'),
+            gestureTuningResetButton: document.getElementById('gestureTuningResetButton'),
+            gestureTuningCloseButton: document.getElementById('gestureTuningCloseButton'),
+            usePreviousCalibrationButton: document.getElementById('usePreviousCalibrationButton'),
+            previousCalibrationInfo: document.getElementById('previousCalibrationInfo'),
+            previousCalibrationWarning: document.getElementById('previousCalibrationWarning'),
 
             // Title Screen 2 (New)
             titleScreen2: document.getElementById('titleScreen2'),
@@ -114,6 +141,8 @@ export class UIManager {
             timeLeft: document.getElementById('timeLeft'),
             hudPowerMode: document.getElementById('hudPowerMode'),
             powerModeTime: document.getElementById('powerModeTime'),
+            hudControllerBattery: document.getElementById('hudControllerBattery'),
+            hudControllerBatteryText: document.getElementById('hudControllerBatteryText'),
             enemyIndicators: document.getElementById('enemyIndicators'),
             // Scene start and countdown
             sceneStartButton: document.getElementById('sceneStartButton'),
@@ -148,6 +177,7 @@ export class UIManager {
             missionCompletedScreen: document.getElementById('missionCompletedScreen'),
             completedScore: document.getElementById('completedScore'),
             completedKills: document.getElementById('completedKills'),
+            completedDirections: document.getElementById('completedDirections'),
             completedTime: document.getElementById('completedTime'),
             returnToTitleButtonSuccess: document.getElementById('returnToTitleButtonSuccess'),
 
@@ -155,6 +185,7 @@ export class UIManager {
             missionFailScreen: document.getElementById('missionFailScreen'),
             failScore: document.getElementById('failScore'),
             failKills: document.getElementById('failKills'),
+            failDirections: document.getElementById('failDirections'),
             failTime: document.getElementById('failTime'),
             returnToTitleButtonFail: document.getElementById('returnToTitleButtonFail'),
             // Old buttons removed: retryButton, reconnectButton, recalibrateButton
@@ -181,9 +212,17 @@ export class UIManager {
 
         // BLE Connect
         this.bindClick(this.elements.connectBleButton, handlers.onConnectBLE);
+        this.bindClick(this.elements.reconnectRememberedButton, handlers.onReconnectRemembered);
+        this.bindClick(this.elements.connectLeftGloveButton, handlers.onConnectSecondaryGlove);
+        this.bindControllerTransportSelect();
 
         // Calibrate: 確定（ゲーム開始）ボタンのみバインド
         this.bindClick(this.elements.startCalibrationButton, handlers.onConfirmCalibration);
+        this.bindClick(this.elements.usePreviousCalibrationButton, handlers.onUsePreviousCalibration);
+        this.bindClick(this.elements.calibrationPointsButton, handlers.onCycleCalibrationPoints);
+        this.bindClick(this.elements.gestureTuningButton, handlers.onStartGestureTuning);
+        this.bindClick(this.elements.gestureTuningCloseButton, handlers.onCloseGestureTuning);
+        this.bindClick(this.elements.gestureTuningResetButton, handlers.onResetGestureProfile);
 
         // Title Screen 2 (New)
         // Title02 のプレイボタンは 「キャリブレーション画面へ遷移」 にする（フローチャートに合わせる）
@@ -298,6 +337,120 @@ export class UIManager {
         }
     }
 
+    bindControllerTransportSelect() {
+        const select = this.elements.controllerTransportSelect;
+        if (!select) return;
+
+        // WebSerial 非対応ブラウザ（iOS など）では USB を選べないようにする
+        const serialOption = select.querySelector('option[value="serial"]');
+        if (serialOption && !(typeof navigator !== 'undefined' && navigator.serial)) {
+            serialOption.disabled = true;
+        }
+
+        const syncBridgeUrlVisibility = () => {
+            if (this.elements.controllerBridgeUrl) {
+                this.elements.controllerBridgeUrl.classList.toggle('hidden', select.value !== 'websocket');
+            }
+        };
+        select.addEventListener('change', syncBridgeUrlVisibility);
+        syncBridgeUrlVisibility();
+    }
+
+    /**
+     * 接続画面で選択されたコントローラ通信手段
+     * @returns {{type: string, bridgeUrl: string}}
+     */
+    getControllerTransportSelection() {
+        const select = this.elements.controllerTransportSelect;
+        const urlInput = this.elements.controllerBridgeUrl;
+        return {
+            type: select ? select.value : 'ble',
+            bridgeUrl: urlInput ? urlInput.value.trim() : ''
+        };
+    }
+
+    /**
+     * コントローラのバッテリー・機種・FWを接続画面とゲームHUDに表示
+     * @param {Object} info - ControllerTransport.deviceInfo
+     * @param {number} lowBatteryThreshold - 警告色にする残量（%）
+     */
+    updateControllerDeviceInfo(info, lowBatteryThreshold) {
+        const hasBattery = typeof info.batteryLevel === 'number';
+        const isLow = hasBattery && info.batteryLevel <= lowBatteryThreshold;
+
+        const infoEl = this.elements.controllerDeviceInfo;
+        if (infoEl) {
+            const parts = [];
+            if (info.modelNumber) parts.push(`MODEL ${info.modelNumber}`);
+            if (info.firmwareRevision) parts.push(`FW ${info.firmwareRevision}`);
+            if (hasBattery) parts.push(`BATT ${info.batteryLevel}%`);
+            this.setTextIfChanged(infoEl, parts.join(' / '));
+            infoEl.classList.toggle('hidden', parts.length === 0);
+            infoEl.classList.toggle('text-primary', isLow);
+            infoEl.classList.toggle('text-tech-gray', !isLow);
+        }
+
+        if (this.elements.hudControllerBattery) {
+            this.elements.hudControllerBattery.classList.toggle('hidden', !hasBattery);
+            this.elements.hudControllerBattery.classList.toggle('controller-battery-low', isLow);
+        }
+        if (hasBattery) {
+            this.setTextIfChanged(this.elements.hudControllerBatteryText, `${info.batteryLevel}%`);
+        }
+    }
+
+    /**
+     * 画面上部に一時的な警告を表示（操作はブロックしない）
+     */
+    showControllerWarning(title, message, durationMs = 4000) {
+        if (!this.controllerWarningToast || !this.controllerWarningToast.parentElement) {
+            const toast = document.createElement('div');
+            toast.className = 'controller-warning-toast';
+            toast.setAttribute('role', 'alert');
+            toast.innerHTML = `
+                <div class="controller-warning-title"></div>
+                <div class="controller-warning-message"></div>
+            `;
+            document.body.appendChild(toast);
+            this.controllerWarningToast = toast;
+        }
+
+        const toast = this.controllerWarningToast;
+        toast.querySelector('.controller-warning-title').textContent = title;
+        toast.querySelector('.controller-warning-message').textContent = message;
+        toast.classList.add('active');
+
+        if (this.controllerWarningTimer) clearTimeout(this.controllerWarningTimer);
+        this.controllerWarningTimer = setTimeout(() => {
+            this.controllerWarningTimer = null;
+            toast.classList.remove('active');
+        }, durationMs);
+    }
+
+    /**
+     * 前回接続したグローブへの再接続ボタン（name が null なら隠す）
+     * @param {string|null} name
+     */
+    showRememberedController(name) {
+        const button = this.elements.reconnectRememberedButton;
+        if (!button) return;
+        button.classList.toggle('hidden', name === null);
+        this.setTextIfChanged(this.elements.reconnectRememberedName, name || 'GLOVE');
+    }
+
+    /**
+     * 2台目（左手）グローブの接続状態
+     * @param {string} status - '接続中...' | '接続成功' | '未接続'
+     */
+    updateSecondaryGloveStatus(status) {
+        const el = this.elements.leftGloveStatus;
+        if (!el) return;
+        const isConnected = status === '接続成功';
+        this.setTextIfChanged(el, `[ ${isConnected ? 'CONNECTED' : status} ]`);
+        el.classList.toggle('text-primary', isConnected);
+        el.classList.toggle('text-tech-gray', !isConnected);
+    }
+
     showBLEError(message) {
         if (this.elements.bleError) {
             this.setTextIfChanged(this.elements.bleError, `ERROR: ${message}`);
@@ -306,6 +459,59 @@ export class UIManager {
 
     // --- Calibration Screen Updates ---
 
+    /**
+     * 保存済みキャリブレーションの使用ボタン（offer が null なら隠す）
+     * @param {{label: string, isStale: boolean}|null} offer
+     */
+    showPreviousCalibration(offer) {
+        const button = this.elements.usePreviousCalibrationButton;
+        if (!button) return;
+        button.classList.toggle('hidden', offer === null);
+        if (this.elements.previousCalibrationWarning) {
+            this.elements.previousCalibrationWarning.classList.toggle('hidden', !offer || !offer.isStale);
+        }
+        if (offer) this.setTextIfChanged(this.elements.previousCalibrationInfo, offer.label);
+    }
+
+    /**
+     * 的の数と、今斬る的の案内
+     * @param {{pointCount: number, index: number, label: string, name: string}} target
+     */
+    showCalibrationTarget({ pointCount, index, label, name }) {
+        this.setTextIfChanged(this.elements.calibrationPointsLabel, String(pointCount));
+        const progress = pointCount > 1 ? ` (${index + 1}/${pointCount})` : '';
+        this.setTextIfChanged(this.elements.calibrationInstructionText, `${label}の的を斬れ${progress}`);
+        this.setTextIfChanged(this.elements.calibrationInstructionSubText, `CUT THE ${name.toUpperCase().replace('-', ' ')} TARGET${progress}`);
+    }
+
+    /**
+     * 閾値調整の案内（prompt が null なら閉じる）
+     * @param {{text: string, stepIndex: number, stepCount: number}|null} prompt
+     */
+    showGestureTuningPrompt(prompt) {
+        const panel = this.elements.gestureTuningPanel;
+        if (!panel) return;
+        panel.classList.toggle('hidden', prompt === null);
+        if (!prompt) return;
+        this.setTextIfChanged(this.elements.gestureTuningPrompt, prompt.text);
+        this.setTextIfChanged(this.elements.gestureTuningProgress, `STEP ${prompt.stepIndex + 1} / ${prompt.stepCount}`);
+        this.setTextIfChanged(this.elements.gestureTuningCloseButton, 'CANCEL');
+    }
+
+    showGestureTuningResult(title, summary) {
+        if (this.elements.gestureTuningPanel) this.elements.gestureTuningPanel.classList.remove('hidden');
+        this.setTextIfChanged(this.elements.gestureTuningPrompt, title);
+        this.setTextIfChanged(this.elements.gestureTuningProgress, summary);
+        this.setTextIfChanged(this.elements.gestureTuningCloseButton, 'CLOSE');
+    }
+
+    /**
+     * @param {boolean} isPersonal - 個人の閾値プロファイルを使っているか
+     */
+    showGestureProfile(isPersonal) {
+        this.setTextIfChanged(this.elements.gestureProfileLabel, isPersonal ? 'PERSONAL' : 'DEFAULT');
+    }
+
     updateCalibrationValues(pitch, yaw, roll) {
         if (this.elements.calibPitch) this.elements.calibPitch.textContent = `${pitch.toFixed(1)}°`;
         if (this.elements.calibYaw) this.elements.calibYaw.textContent = `${yaw.toFixed(1)}°`;
@@ -494,6 +700,106 @@ export class UIManager {
         return overlay;
     }
 
+    // --- BLE Reconnect Overlay ---
+
+    ensureReconnectOverlay() {
+        if (this.reconnectOverlay && this.reconnectOverlay.parentElement) {
+            return this.reconnectOverlay;
+        }
+
+        const overlay = document.createElement('div');
+        overlay.className = 'ble-reconnect-overlay';
+        overlay.setAttribute('role', 'status');
+        overlay.innerHTML = `
+            <div class="ble-reconnect-panel">
+                <div class="ble-reconnect-title">SIGNAL LOST</div>
+                <div class="ble-reconnect-label">コントローラ再接続中</div>
+                <div class="ble-reconnect-attempt"></div>
+                <div class="ble-reconnect-countdown"></div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+        this.reconnectOverlay = overlay;
+        return overlay;
+    }
+
+    showReconnectOverlay() {
+        const overlay = this.ensureReconnectOverlay();
+        this.clearReconnectCountdown();
+        overlay.querySelector('.ble-reconnect-attempt').textContent = '';
+        overlay.querySelector('.ble-reconnect-countdown').textContent = '';
+        overlay.classList.add('active');
+    }
+
+    /**
+     * 再接続の試行回数、または任意のステータス文言を表示
+     */
+    updateReconnectOverlay(attempt, maxAttempts, statusText) {
+        const overlay = this.ensureReconnectOverlay();
+        const attemptEl = overlay.querySelector('.ble-reconnect-attempt');
+        if (statusText) {
+            this.setTextIfChanged(attemptEl, statusText);
+        } else {
+            this.setTextIfChanged(attemptEl, `RETRY ${attempt} / ${maxAttempts}`);
+        }
+    }
+
+    showReconnectResumeCountdown(countFrom, onComplete) {
+        const overlay = this.ensureReconnectOverlay();
+        const countdownEl = overlay.querySelector('.ble-reconnect-countdown');
+        this.clearReconnectCountdown();
+        this.setTextIfChanged(overlay.querySelector('.ble-reconnect-attempt'), '再接続完了');
+
+        let current = countFrom;
+        const tick = () => {
+            if (current <= 0) {
+                this.reconnectCountdownTimer = null;
+                if (onComplete) onComplete();
+                return;
+            }
+            countdownEl.textContent = String(current);
+            current -= 1;
+            this.reconnectCountdownTimer = setTimeout(tick, 1000);
+        };
+        tick();
+    }
+
+    clearReconnectCountdown() {
+        if (this.reconnectCountdownTimer) {
+            clearTimeout(this.reconnectCountdownTimer);
+            this.reconnectCountdownTimer = null;
+        }
+    }
+
+    hideReconnectOverlay() {
+        this.clearReconnectCountdown();
+        if (this.reconnectOverlay) {
+            this.reconnectOverlay.classList.remove('active');
+        }
+    }
+
+    // --- Sensor Session Recording ---
+
+    /**
+     * センサー記録の開始/停止ボタンを表示
+     * @param {Function} onToggle - 記録中なら true を返す
+     */
+    showSessionRecordButton(onToggle) {
+        if (this.sessionRecordButton && this.sessionRecordButton.parentElement) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'session-record-button';
+        button.textContent = 'REC';
+        button.addEventListener('click', () => {
+            const recording = onToggle ? onToggle() : false;
+            button.classList.toggle('recording', !!recording);
+            button.textContent = recording ? 'STOP' : 'REC';
+        });
+        document.body.appendChild(button);
+        this.sessionRecordButton = button;
+    }
+
     // --- Enemy Indicators ---
 
     clearEnemyIndicators() {
@@ -1399,8 +1705,14 @@ export class UIManager {
 
     // --- Result Screen ---
 
-    // Show mission result. time is seconds.
-    showResult(title, kills, timeSeconds) {
+    /**
+     * Show mission result.
+     * @param {string} title - 'クリア！' / 'ゲームオーバー'
+     * @param {number} kills - 撃破数
+     * @param {number} timeSeconds - 経過時間（秒）
+     * @param {Object} [directionCounts] - 斬撃方向ごとの回数 { right: 3, up: 1, ... }
+     */
+    showResult(title, kills, timeSeconds, directionCounts = {}) {
         // compute score = elapsed_ms * kills
         const elapsedMs = Math.round((timeSeconds || 0) * 1000);
         const score = Math.round(elapsedMs * (kills || 0));
@@ -1445,6 +1757,7 @@ export class UIManager {
             this.elements.missionCompletedScreen.classList.remove('hidden');
             if (this.elements.completedScore) this.elements.completedScore.textContent = fmt(score);
             if (this.elements.completedKills) this.elements.completedKills.textContent = `${kills} KILLS`;
+            this.renderSlashDirections(this.elements.completedDirections, directionCounts);
             if (this.elements.completedTime) {
                 // display as HH:MM:SS if possible or fallback
                 const sec = Math.floor(timeSeconds || 0);
@@ -1460,6 +1773,7 @@ export class UIManager {
             this.elements.missionFailScreen.classList.remove('hidden');
             if (this.elements.failScore) this.elements.failScore.textContent = fmt(score);
             if (this.elements.failKills) this.elements.failKills.textContent = `${kills} KILLS`;
+            this.renderSlashDirections(this.elements.failDirections, directionCounts);
             if (this.elements.failTime) {
                 const sec = Math.floor(timeSeconds || 0);
                 const hh = String(Math.floor(sec / 3600)).padStart(2, '0');
@@ -1471,6 +1785,28 @@ export class UIManager {
 
     }
 
+    /**
+     * 8方向の矢印と回数を並べる（↑ から時計回り）
+     */
+    renderSlashDirections(container, directionCounts = {}) {
+        if (!container) return;
+        container.innerHTML = '';
+        ['up', 'up-right', 'right', 'down-right', 'down', 'down-left', 'left', 'up-left'].forEach(name => {
+            const direction = SLASH_DIRECTIONS.find(d => d.name === name);
+            const count = directionCounts[name] || 0;
+            const cell = document.createElement('div');
+            cell.className = `flex flex-col items-center leading-none${count === 0 ? ' opacity-30' : ''}`;
+            const symbol = document.createElement('span');
+            symbol.className = 'text-base font-bold';
+            symbol.textContent = direction.symbol;
+            const value = document.createElement('span');
+            value.className = 'text-[10px] mt-0.5';
+            value.textContent = String(count);
+            cell.append(symbol, value);
+            container.appendChild(cell);
+        });
+    }
+
     // --- Title Screen 2 ---
 
     showTitleScreen2() {
@@ -0,0 +1,92 @@
+/**
+ * WebSocketControllerAdapter.js
+ * ローカルのブリッジプロセス（WebSocket）経由でセンサーフレーム受信と触覚コマンド送信を行うクラス
+ *
+ * バイナリメッセージ1件 = 1フレーム。
+ * 上りは BLE Notify と同じセンサーフレーム（15/17/23 バイト）、下りは 2 バイト触覚コマンド。
+ */
+
+import { ControllerTransport } from './ControllerTransport.js';
+
+export const DEFAULT_BRIDGE_URL = 'ws://localhost:8765';
+
+export class WebSocketControllerAdapter extends ControllerTransport {
+    constructor(url = DEFAULT_BRIDGE_URL) {
+        super();
+        this.transportType = 'websocket';
+
+        this.url = url;
+        this.socket = null;
+    }
+
+    setUrl(url) {
+        this.url = url || DEFAULT_BRIDGE_URL;
+    }
+
+    getControllerId() {
+        return `websocket:${this.url}`;
+    }
+
+    /**
+     * ブリッジへの接続を開始（ユーザー操作起点）
+     */
+    async connect() {
+        this.cancelReconnect();
+        this.isManualDisconnect = false;
+        await this.reopen();
+        return true;
+    }
+
+    reopen() {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+            socket.binaryType = 'arraybuffer';
+            let opened = false;
+
+            socket.onopen = () => {
+                opened = true;
+                this.socket = socket;
+                this.isConnected = true;
+                resolve();
+            };
+
+            socket.onmessage = (event) => {
+                if (event.data instanceof ArrayBuffer) {
+                    this.handleSensorData(new Uint8Array(event.data));
+                }
+            };
+
+            socket.onclose = () => {
+                if (!opened) {
+                    reject(new Error(`ブリッジに接続できません: ${this.url}`));
+                    return;
+                }
+                // closeConnection() 経由の切断では this.socket は既に null
+                if (socket === this.socket) {
+                    this.socket = null;
+                    this.handleDisconnect();
+                }
+            };
+        });
+    }
+
+    canReopen() {
+        return !!this.url;
+    }
+
+    canSendHaptic() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    async writeHapticValue(command, duration) {
+        this.socket.send(command);
+    }
+
+    closeConnection() {
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+    }
+}
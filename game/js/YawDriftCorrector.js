@@ -0,0 +1,94 @@
+/**
+ * YawDriftCorrector.js
+ * ラウンド中に少しずつずれていくグローブのヨー角を、端末の視線方向に寄せて戻すクラス
+ *
+ * 手が止まっていて、画面中央付近（視線方向 ±CENTRE_WINDOW_DEG）を向いている間だけ
+ * 「プレイヤーは画面中央を狙っている」とみなし、基準ヨー角の補正量を最大 MAX_RATE_DPS で動かす。
+ * 大きく外れた向きや振っている最中は、意図した動きとして補正しない。
+ */
+
+import { MotionKinematics } from './MotionKinematics.js';
+
+export class YawDriftCorrector {
+    constructor() {
+        this.REST_ANGULAR_SPEED_DPS = 20;
+        this.REST_MIN_MS = 400;
+        this.CENTRE_WINDOW_DEG = 20;
+        this.CENTRE_PITCH_DEG = 35;
+        // 誤差に対する補正の速さ（1/s）と上限（deg/s）
+        this.GAIN_PER_S = 0.5;
+        this.MAX_RATE_DPS = 3;
+        this.MAX_DT_MS = 100;
+
+        this.viewYaw = null;
+        this.reset();
+    }
+
+    reset() {
+        this.correction = 0;
+        this.lastError = null;
+        this.lastTime = null;
+        this.lastFrame = null;
+        this.restStartTime = null;
+        this.isCorrecting = false;
+    }
+
+    /**
+     * @param {number|null} yaw - 端末の水平視線方向（Renderer.getCameraHorizontalYawDegrees）。null で補正を止める
+     */
+    setViewYaw(yaw) {
+        this.viewYaw = typeof yaw === 'number' ? yaw : null;
+    }
+
+    /**
+     * @param {Object} frame - SensorFrameParser のフレーム
+     * @param {number} now - サンプル時刻 (ms)
+     * @param {{pitch: number, yaw: number}} relativePYR - 基準で補正した姿勢
+     * @param {boolean} isIdle - スイング検出が待機中か
+     * @returns {number} 基準ヨー角に足す量（deg）
+     */
+    update(frame, now, relativePYR, isIdle) {
+        const dt = this.lastTime === null ? 0 : Math.min(this.MAX_DT_MS, Math.max(0, now - this.lastTime));
+        this.lastTime = now;
+        // 角速度の無いフレーム（euler15）は前フレームとの姿勢差から求める
+        const angularSpeed = MotionKinematics.getAngularSpeed(frame, this.lastFrame, dt) ?? 0;
+        this.lastFrame = frame;
+        this.isCorrecting = false;
+
+        if (this.viewYaw === null || !isIdle || angularSpeed > this.REST_ANGULAR_SPEED_DPS) {
+            this.restStartTime = null;
+            this.lastError = null;
+            return 0;
+        }
+        if (this.restStartTime === null) this.restStartTime = now;
+
+        const error = this.unwrapAngle(relativePYR.yaw - this.viewYaw);
+        this.lastError = error;
+        if (now - this.restStartTime < this.REST_MIN_MS ||
+            Math.abs(error) > this.CENTRE_WINDOW_DEG ||
+            Math.abs(relativePYR.pitch) > this.CENTRE_PITCH_DEG) {
+            return 0;
+        }
+
+        const maxStep = this.MAX_RATE_DPS * dt / 1000;
+        const step = Math.max(-maxStep, Math.min(maxStep, error * this.GAIN_PER_S * dt / 1000));
+        this.correction = this.unwrapAngle(this.correction + step);
+        this.isCorrecting = step !== 0;
+        return step;
+    }
+
+    getDebugInfo() {
+        return {
+            correction: this.correction,
+            error: this.lastError,
+            active: this.viewYaw !== null,
+            correcting: this.isCorrecting
+        };
+    }
+
+    unwrapAngle(angle) {
+        while (angle > 180) angle -= 360;
+        while (angle < -180) angle += 360;
+        return angle;
+    }
+}
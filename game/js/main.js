@@ -6,13 +6,23 @@
 
 import { AppState } from './AppState.js';
 import { BleControllerAdapter } from './BleControllerAdapter.js';
-import { SensorFrameParser } from './SensorFrameParser.js';
-import { MotionInterpreter } from './MotionInterpreter.js';
+import { SerialControllerAdapter } from './SerialControllerAdapter.js';
+import { WebSocketControllerAdapter } from './WebSocketControllerAdapter.js';
+import { SimulatedControllerAdapter } from './SimulatedControllerAdapter.js';
 import { GameWorld } from './GameWorld.js';
 import { CombatSystem } from './CombatSystem.js';
 import { Renderer } from './Renderer.js';
 import { UIManager } from './UIManager.js';
 import { soundManager } from './SoundManager.js';
+import { SensorSessionRecorder } from './SensorSessionRecorder.js';
+import { SensorSessionPlayer } from './SensorSessionPlayer.js';
+import { DebugOverlay } from './DebugOverlay.js';
+import { GloveChannel } from './GloveChannel.js';
+import { TwoHandGestureDetector } from './TwoHandGestureDetector.js';
+import { CalibrationStore } from './CalibrationStore.js';
+import { MultiPointCalibration, CALIBRATION_TARGET_LAYOUTS } from './MultiPointCalibration.js';
+import { GestureTuningSession } from './GestureTuningSession.js';
+import { GestureProfileStore } from './GestureProfileStore.js';
 
 const MAX_RENDER_FPS = 30;
 const MAX_RENDER_FRAME_MS = 1000 / MAX_RENDER_FPS;
@@ -69,21 +79,49 @@ const BLE_PROCESS_CONFIG = {
     PROCESSED_HZ_HISTORY: 60
 };
 
+// これ以下のバッテリー残量（%）でラウンド開始前に警告する
+const LOW_BATTERY_THRESHOLD = 20;
+
+// 多点キャリブレーションで的を斬ってから次の的を出すまで（ms）
+const CALIBRATION_NEXT_TARGET_DELAY_MS = 600;
+
+// 触覚パターンの上書き設定（無ければ HapticPatternLibrary の既定値）
+const HAPTIC_PATTERN_SETTINGS_URL = 'config/haptic-patterns.json';
+const SEAL_TEMPLATE_SETTINGS_URL = 'config/seal-templates.json';
+const COMBO_SETTINGS_URL = 'config/combos.json';
+
+// 仮想コントローラ接続時のキーボード操作（Shift で強打）
+const SIMULATOR_KEY_BINDINGS = {
+    Digit1: { type: 'slash', direction: 'horizontal' },
+    Digit2: { type: 'slash', direction: 'vertical' },
+    Digit3: { type: 'slash', direction: 'diagonal' },
+    Digit4: { type: 'circle' },
+    Digit5: { type: 'walk' },
+    Digit6: { type: 'thrust' },
+    Digit7: { type: 'seal', name: 'pentagram' },
+    Digit8: { type: 'seal', name: 'kuji' },
+    Digit9: { type: 'seal', name: 'lightning' }
+};
+
 class AROnmyoujiGame {
     constructor() {
         // モジュール初期化
         this.appState = new AppState();
-        this.bleAdapter = new BleControllerAdapter();
-        this.parser = new SensorFrameParser();
-        this.motionInterpreter = new MotionInterpreter();
+        this.controller = null;
+        // グローブごとの解析パイプライン（右手が主。左手は任意の2台目）
+        this.gloves = {
+            right: new GloveChannel('right'),
+            left: new GloveChannel('left')
+        };
+        this.primaryGlove = this.gloves.right;
+        this.twoHandGestures = new TwoHandGestureDetector();
+        this.sessionRecorder = new SensorSessionRecorder();
+        this.debugOverlay = new DebugOverlay(() => this.getDebugRows());
         this.gameWorld = new GameWorld();
         this.combatSystem = new CombatSystem(this.gameWorld, this.motionInterpreter);
         this.renderer = new Renderer('gameCanvas');
         this.uiManager = new UIManager();
         this.soundManager = soundManager;
-        if (typeof this.bleAdapter.setPerformanceMode === 'function') {
-            this.bleAdapter.setPerformanceMode('normal');
-        }
         this.lastCircleFreezeSoundTime = -Infinity;
 
         // Calibration display baseline (for reset behavior)
@@ -93,8 +131,25 @@ class AROnmyoujiGame {
         this.calibrationLockedYaw = null;
         this.calibrationRenderFrame = null;
         this.lastCalibrationRenderTime = 0;
+        // グローブごとの校正結果（次回のセッションで「前回の校正」として使える）
+        this.calibrationStore = new CalibrationStore();
+        this.calibrationSource = null;
+        // 多点キャリブレーション（的の数は画面の TARGETS で 1 / 3 / 5 を切り替え）
+        this.multiPointCalibration = new MultiPointCalibration();
+        this.calibrationPointCount = 1;
+        this.calibrationTargetTimer = null;
+        // 個人の閾値調整（キャリブレーション画面の TUNE GESTURES）
+        this.gestureProfileStore = new GestureProfileStore();
+        this.gestureTuning = new GestureTuningSession();
+        // ラウンド中の斬撃方向の内訳（結果画面に表示）
+        this.slashDirectionCounts = {};
+        // ラウンド中のヨーずれ補正に使う視線方向（記録には1°以上変わったときだけ残す）
+        this.viewYaw = null;
+        this.recordedViewYaw = null;
         // UI初期化
         this.uiManager.init();
+        this.debugOverlay.init();
+        this.debugOverlay.setControls(this.getMotionFilterControls());
 
         // AppState の変化を監視して UI のインラインスタイルや再配置を補正する
         this.appState.onStateChanged = this.onAppStateChanged.bind(this);
@@ -103,9 +158,6 @@ class AROnmyoujiGame {
         this.cameraStream = null;
         this.videoElement = document.getElementById('cameraVideo');
 
-        // 直近フレーム
-        this.latestFrame = null;
-
         // ゲームループ
         this.lastUpdateTime = 0;
         this.FIXED_DELTA_TIME = 1000 / 60; // 60 FPS
@@ -120,10 +172,13 @@ class AROnmyoujiGame {
         this.lastSimulationTime = 0;
         this.gameplayStartedAt = 0;
         this.isMobileDevice = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent || '');
-        this.lastMotionProcessTime = 0;
         this.processedSensorTimestamps = [];
         this.skippedMotionFrames = 0;
 
+        // BLE切断中の一時停止
+        this.isPausedForReconnect = false;
+        this.isAwaitingResumeFrame = false;
+
         // ダブルヒット防止用
         this.lastEnemyHitTime = new Map();
         this.MIN_HIT_INTERVAL_MS = 100;
@@ -131,15 +186,53 @@ class AROnmyoujiGame {
         // イベントハンドラ設定
         this.setupEventHandlers();
 
+        // テスター向け: ?record でセンサー記録ボタンを表示
+        if (new URLSearchParams(window.location.search).has('record')) {
+            this.uiManager.showSessionRecordButton(() => this.toggleSessionRecording());
+        }
+
+        this.combatSystem.hapticPatterns.loadOverrides(HAPTIC_PATTERN_SETTINGS_URL);
+        Object.values(this.gloves).forEach(glove => {
+            glove.motionInterpreter.sealRecognizer.loadOverrides(SEAL_TEMPLATE_SETTINGS_URL);
+            glove.motionInterpreter.comboRecognizer.loadOverrides(COMBO_SETTINGS_URL);
+        });
+
         
     }
 
+    // 主グローブ（右手）のパイプライン。単体接続時はこれだけが使われる
+    get parser() {
+        return this.primaryGlove.parser;
+    }
+
+    get motionInterpreter() {
+        return this.primaryGlove.motionInterpreter;
+    }
+
+    get hapticScheduler() {
+        return this.primaryGlove.hapticScheduler;
+    }
+
+    get controllerFlags() {
+        return this.primaryGlove.controllerFlags;
+    }
+
+    // 直近フレーム
+    get latestFrame() {
+        return this.primaryGlove.latestFrame;
+    }
+
+    get secondaryGloves() {
+        return Object.values(this.gloves).filter(glove => glove !== this.primaryGlove);
+    }
+
     /**
      * AppState 変更時の補助処理
      * スプラッシュが UIManager によりインラインで固定されている場合に
      * 明示的に非表示にし、権限画面を確実に表示する。
      */
     onAppStateChanged(newState) {
+        this.recordSessionEvent('state', { state: newState });
         try {
             // スプラッシュは UIManager 経由で確実に消す
             if (this.uiManager && typeof this.uiManager.hideSplashScreen === 'function') {
@@ -166,6 +259,10 @@ class AROnmyoujiGame {
                 }
             }
 
+            if (newState === this.appState.states.S2_BLE_CONNECT) {
+                this.refreshRememberedController();
+            }
+
             if (newState === this.appState.states.S3_CALIBRATE) {
                 this.enterCalibrationStage();
             } else {
@@ -185,8 +282,15 @@ class AROnmyoujiGame {
             onStartGame: () => this.onStartGame(),
             onStartInScene: () => this.onStartInScene(),
             onRequestPermission: () => this.requestPermissions(),
-            onConnectBLE: () => this.connectBLE(),
+            onConnectBLE: () => this.connectController(),
+            onConnectSecondaryGlove: () => this.connectSecondaryGlove(),
+            onReconnectRemembered: () => this.connectRememberedController(),
             onConfirmCalibration: () => this.confirmCalibration(),
+            onUsePreviousCalibration: () => this.usePreviousCalibration(),
+            onCycleCalibrationPoints: () => this.cycleCalibrationPointCount(),
+            onStartGestureTuning: () => this.startGestureTuning(),
+            onCloseGestureTuning: () => this.closeGestureTuning(),
+            onResetGestureProfile: () => this.resetGestureProfile(),
             onResetCalibration: () => this.onResetCalibration(),
             onReturnToTitle: () => this.onReturnToTitle(), // New
             onTitleStartGame: () => this.onTitleStartGame(), // New
@@ -196,20 +300,21 @@ class AROnmyoujiGame {
             onRecalibrate: () => this.onRecalibrate()
         });
 
-        // BLE コールバック
-        this.bleAdapter.setOnDataCallback((data) => this.onBLEData(data));
-        this.bleAdapter.setOnDisconnectCallback(() => this.onBLEDisconnect());
+        // コントローラ（既定はBLE。接続画面で切り替え可能）
+        this.attachController(new BleControllerAdapter());
 
         // Renderer コールバック
         this.renderer.onSlashHitEnemy = (data) => this.onRendererSlashHit(data);
         this.renderer.onCalibrationTargetHit = (data) => this.onCalibrationTargetHit(data);
 
-        // Motion Interpreter コールバック
-        this.motionInterpreter.onSwingDetected = (swing) => this.onSwing(swing);
-        this.motionInterpreter.onCircleDetected = (circle) => this.onCircle(circle);
-        this.motionInterpreter.onPowerModeActivated = (power) => this.onPowerMode(power);
-        this.motionInterpreter.onSwingTracerUpdate = (trajectory) => this.onSwingTracerUpdate(trajectory);
-        this.motionInterpreter.onSwingStarted = () => this.onSwingStarted();
+        // Motion Interpreter / コントローラ flags コールバック（グローブごと）
+        Object.values(this.gloves).forEach(glove => this.bindGloveCallbacks(glove));
+        this.twoHandGestures.onTwoHandSlash = (pair) => this.onTwoHandSlash(pair);
+
+        // 閾値調整
+        this.gestureTuning.onPromptChanged = (prompt) => this.uiManager.showGestureTuningPrompt(prompt);
+        this.gestureTuning.onComplete = (profile) => this.onGestureTuningComplete(profile);
+        this.applyGestureProfile(this.gestureProfileStore.load());
 
         // GameWorld コールバック
         this.gameWorld.onEnemySpawned = (enemy) => this.onEnemySpawned(enemy);
@@ -223,24 +328,52 @@ class AROnmyoujiGame {
 
         // DeviceOrientation
         this.deviceOrientationHandler = (e) => this.renderer.updateDeviceOrientation(e);
+
+        // 仮想コントローラのキーボード操作
+        window.addEventListener('keydown', (e) => this.onSimulatorKeyDown(e));
+        window.addEventListener('keyup', (e) => this.onSimulatorKeyUp(e));
+    }
+
+    /**
+     * 動作・flags のイベントに手の情報を付けて受け取る
+     * 軌跡表示と強化モードは主グローブのみ
+     */
+    bindGloveCallbacks(glove) {
+        const interpreter = glove.motionInterpreter;
+        interpreter.onSwingDetected = (swing) => this.onSwing({ ...swing, hand: glove.hand });
+        interpreter.onCircleDetected = (circle) => this.onCircle({ ...circle, hand: glove.hand });
+        interpreter.onThrustDetected = (thrust) => this.onThrust({ ...thrust, hand: glove.hand });
+        interpreter.onSealDetected = (seal) => this.onSeal({ ...seal, hand: glove.hand });
+        interpreter.onComboDetected = (combo) => this.onCombo({ ...combo, hand: glove.hand });
+        if (glove === this.primaryGlove) {
+            interpreter.onPowerModeActivated = (power) => this.onPowerMode(power);
+            interpreter.onSwingTracerUpdate = (trajectory) => this.onSwingTracerUpdate(trajectory);
+            interpreter.onSwingStarted = () => this.onSwingStarted();
+        }
+
+        glove.controllerFlags.onButtonHold = () => this.onControllerButtonHold();
+        glove.controllerFlags.onStatusChanged = (name, value) => this.onControllerStatusChanged(name, value, glove.hand);
     }
 
     enterCalibrationStage() {
         this.isCalibrationCompleting = false;
         this.isCalibrationYawLocked = false;
         this.calibrationLockedYaw = null;
+        this.calibrationSource = null;
         this.lastCalibrationRenderTime = performance.now();
-        if (this.motionInterpreter) {
-            this.motionInterpreter.reset();
-            this.motionInterpreter.isCalibrated = false;
-        }
+        this.resetMotionInterpreter();
+        this.clearMotionCalibration();
+        this.clearSecondaryGloveCalibration();
         if (this.renderer) {
             this.renderer.setCalibrationMode(true);
         }
+        this.startCalibrationTargets();
         this.startCalibrationRenderLoop();
     }
 
     exitCalibrationStage() {
+        this.clearCalibrationTargetTimer();
+        this.closeGestureTuning();
         this.stopCalibrationRenderLoop();
         if (this.renderer) {
             this.renderer.setCalibrationMode(false);
@@ -266,6 +399,7 @@ class AROnmyoujiGame {
             this.lastCalibrationRenderTime = now;
             this.renderer.render(deltaTime, []);
             this.updateCalibrationTargetArrow();
+            this.uiManager.showPreviousCalibration(this.getPreviousCalibrationOffer());
             this.calibrationRenderFrame = requestAnimationFrame(tick);
         };
 
@@ -351,7 +485,10 @@ class AROnmyoujiGame {
             return;
         }
 
-        if (!this.isCalibrationYawLocked) {
+        // 多点キャリブレーションの途中なら、斬り終えた的だけで当てはめる
+        if (this.multiPointCalibration.isActive() && this.multiPointCalibration.samples.length >= 2) {
+            this.applyMultiPointCalibration();
+        } else if (!this.isCalibrationYawLocked) {
             this.lockCalibrationYaw(this.latestFrame.yaw_deg, 'fallback button');
         }
 
@@ -371,7 +508,7 @@ class AROnmyoujiGame {
             yaw: yaw_deg,
             onlyYaw: true
         };
-        try { if (this.motionInterpreter) this.motionInterpreter.isCalibrated = false; } catch (e) { }
+        this.clearMotionCalibration();
 
         // Calibrate motion interpreter for yaw only (pitch/roll unchanged)
         this.motionInterpreter.calibrate(undefined, yaw_deg, undefined);
@@ -391,11 +528,15 @@ class AROnmyoujiGame {
     lockCalibrationYaw(yawDeg, source) {
         if (typeof yawDeg !== 'number') return false;
 
-        const frontYaw = this.renderer && typeof this.renderer.getCalibrationFrontYaw === 'function'
-            ? this.renderer.getCalibrationFrontYaw()
-            : 0;
-        const yaw = this.unwrapAngleDeg(yawDeg);
-        const calibrationYaw = this.unwrapAngleDeg(yaw - frontYaw);
+        this.applyCalibrationYaw(this.getCalibrationYaw(yawDeg), source);
+        return true;
+    }
+
+    /**
+     * 主グローブの基準ヨー角を確定する
+     * @param {Object} [extra] - 多点キャリブレーションの { pitch, gain, residual }
+     */
+    applyCalibrationYaw(calibrationYaw, source, { pitch, gain, residual } = {}) {
         this.calibrationDisplayBaseline = {
             yaw: calibrationYaw,
             onlyYaw: true
@@ -403,15 +544,252 @@ class AROnmyoujiGame {
         this.calibrationLockedYaw = calibrationYaw;
         this.isCalibrationYawLocked = true;
 
-        try { if (this.motionInterpreter) this.motionInterpreter.isCalibrated = false; } catch (e) { }
-        this.motionInterpreter.calibrate(undefined, calibrationYaw, undefined);
+        this.clearMotionCalibration();
+        this.motionInterpreter.calibrate(pitch, calibrationYaw, undefined, gain);
+        this.recordSessionEvent('calibrate', { pitch, yaw: calibrationYaw, gain, residual, source });
+    }
+
+    // --- Gesture threshold tuning ---
+
+    /**
+     * 案内に従って静止・斬撃・円を行い、主グローブのサンプルから閾値を求める
+     * 調整中のフレームは検出器に渡さない（キャリブレーションの斬撃にもならない）
+     */
+    startGestureTuning() {
+        if (!this.primaryGlove.isConnected() || this.isCalibrationCompleting || this.gestureTuning.isActive) return;
+        this.resetMotionInterpreter();
+        this.gestureTuning.start();
+    }
+
+    closeGestureTuning() {
+        this.gestureTuning.cancel();
+        this.uiManager.showGestureTuningPrompt(null);
+    }
+
+    onGestureTuningComplete(profile) {
+        this.gestureProfileStore.save(profile);
+        this.applyGestureProfile(profile);
+        this.uiManager.showGestureTuningResult('調整しました', this.gestureTuning.describeProfile(profile));
+    }
+
+    resetGestureProfile() {
+        this.gestureTuning.cancel();
+        this.gestureProfileStore.clear();
+        this.applyGestureProfile(null);
+        this.uiManager.showGestureTuningResult('既定の閾値に戻しました', '');
+    }
+
+    /**
+     * 全グローブの検出器に閾値プロファイルを読み込む（null で既定値）
+     */
+    applyGestureProfile(profile) {
+        Object.values(this.gloves).forEach(glove => glove.motionInterpreter.setGestureProfile(profile));
+        this.recordSessionEvent('gestureProfile', { profile });
+        this.uiManager.showGestureProfile(!!profile);
+    }
+
+    /**
+     * 的の数を 1 → 3 → 5 → 1 と切り替え、最初の的からやり直す
+     */
+    cycleCalibrationPointCount() {
+        if (this.isCalibrationCompleting) return;
+        const counts = Object.keys(CALIBRATION_TARGET_LAYOUTS).map(Number);
+        this.calibrationPointCount = counts[(counts.indexOf(this.calibrationPointCount) + 1) % counts.length];
+        this.isCalibrationYawLocked = false;
+        this.calibrationLockedYaw = null;
+        this.clearMotionCalibration();
+        this.startCalibrationTargets();
+    }
+
+    startCalibrationTargets() {
+        this.clearCalibrationTargetTimer();
+        this.multiPointCalibration.start(this.calibrationPointCount);
+        this.showCurrentCalibrationTarget();
+    }
+
+    showCurrentCalibrationTarget() {
+        const calibration = this.multiPointCalibration;
+        const target = calibration.getCurrentTarget();
+        if (!target) return;
+
+        if (this.renderer) this.renderer.setCalibrationTargetOffset(target.azim, target.elev);
+        this.uiManager.showCalibrationTarget({
+            pointCount: calibration.pointCount,
+            index: calibration.samples.length,
+            label: target.label,
+            name: target.name
+        });
+    }
+
+    /**
+     * 画面に出ている的（斬った直後で次の的を待っている間は、斬った的）
+     */
+    getShownCalibrationTarget() {
+        const calibration = this.multiPointCalibration;
+        if (this.calibrationTargetTimer && calibration.samples.length > 0) {
+            return calibration.samples[calibration.samples.length - 1].target;
+        }
+        return calibration.getCurrentTarget();
+    }
+
+    clearCalibrationTargetTimer() {
+        if (this.calibrationTargetTimer) {
+            clearTimeout(this.calibrationTargetTimer);
+            this.calibrationTargetTimer = null;
+        }
+    }
+
+    /**
+     * 多点キャリブレーション中の主グローブの斬撃を、今の的のサンプルとして記録する
+     * 的に当たったかは問わない（当たらないほどずれているプレイヤーを補正するため）
+     */
+    recordCalibrationPoint(trajectory, averageYaw) {
+        const calibration = this.multiPointCalibration;
+        // 正面の的で仮の基準を決め、残りの的の斬撃表示に使う
+        if (calibration.samples.length === 0) {
+            this.lockCalibrationYaw(averageYaw, 'multi-point front');
+        }
+
+        const next = calibration.addSample({ yaw: averageYaw, pitch: this.averageCalibrationSwingPitch(trajectory) });
+        try { this.soundManager.play('polygon_burst', { volume: 0.9 }); } catch (e) { }
+        if (this.renderer && typeof this.renderer.triggerCalibrationTargetBurst === 'function') {
+            this.renderer.triggerCalibrationTargetBurst();
+        }
+
+        if (next) {
+            this.calibrationTargetTimer = setTimeout(() => {
+                this.calibrationTargetTimer = null;
+                if (this.appState.getCurrentState() !== this.appState.states.S3_CALIBRATE || this.isCalibrationCompleting) return;
+                this.showCurrentCalibrationTarget();
+            }, CALIBRATION_NEXT_TARGET_DELAY_MS);
+            return;
+        }
+
+        this.isCalibrationCompleting = true;
+        this.applyMultiPointCalibration();
+        this.uiManager.showDefeatedNotice(() => {
+            this.completeCalibrationTransition(true);
+        });
+    }
+
+    /**
+     * 集めたサンプルから基準角度と gain を当てはめて主グローブに適用する
+     */
+    applyMultiPointCalibration() {
+        const fit = this.multiPointCalibration.fit(this.getCalibrationFrontYaw());
+        if (!fit) return false;
+
+        this.applyCalibrationYaw(fit.yaw, 'multi-point', {
+            pitch: fit.pitch,
+            gain: fit.gain,
+            residual: fit.residual
+        });
         return true;
     }
 
+    /**
+     * 生のヨー角から、キャリブレーション的の方向を正面とする基準ヨー角を求める
+     */
+    getCalibrationYaw(yawDeg) {
+        const yaw = this.unwrapAngleDeg(yawDeg);
+        return this.unwrapAngleDeg(yaw - this.getCalibrationFrontYaw());
+    }
+
+    getCalibrationFrontYaw() {
+        return this.renderer && typeof this.renderer.getCalibrationFrontYaw === 'function'
+            ? this.renderer.getCalibrationFrontYaw()
+            : 0;
+    }
+
+    /**
+     * 主グローブの保存済み校正があれば、保存日時と現在の構えとのずれ（左手も含む）を返す
+     * @returns {{label: string, isStale: boolean}|null}
+     */
+    getPreviousCalibrationOffer() {
+        if (!this.primaryGlove.isConnected() || this.isCalibrationCompleting) return null;
+        const record = this.calibrationStore.load(this.primaryGlove.getControllerId());
+        if (!record) return null;
+
+        const frontYaw = this.getCalibrationFrontYaw();
+        const isStale = [this.primaryGlove, ...this.secondaryGloves].some(glove => {
+            const saved = glove.isConnected() && this.calibrationStore.load(glove.getControllerId());
+            return !!saved && this.calibrationStore.isStale(saved, glove.idlePose, frontYaw);
+        });
+        const savedAt = new Date(record.savedAt);
+        const pad = (value) => String(value).padStart(2, '0');
+        return {
+            label: `${savedAt.getMonth() + 1}/${savedAt.getDate()} ${pad(savedAt.getHours())}:${pad(savedAt.getMinutes())}`,
+            isStale
+        };
+    }
+
+    /**
+     * 的を斬らずに前回の校正結果で完了する（保存の無い2台目は完了時の向きを正面とする）
+     */
+    usePreviousCalibration() {
+        if (this.isCalibrationCompleting) return;
+        const record = this.calibrationStore.load(this.primaryGlove.getControllerId());
+        if (!record) return;
+
+        this.applyCalibrationYaw(record.yaw, 'previous', { pitch: record.pitch, gain: record.gain });
+        this.secondaryGloves.forEach(glove => {
+            const saved = glove.isConnected() && this.calibrationStore.load(glove.getControllerId());
+            if (saved) glove.motionInterpreter.calibrate(saved.pitch, saved.yaw, undefined, saved.gain);
+        });
+        this.calibrationSource = 'previous';
+        this.completeCalibrationTransition();
+    }
+
+    /**
+     * 校正したグローブごとに、基準ヨー角・端末の正面方向・構えを保存する
+     */
+    saveCalibrations() {
+        const frontYaw = this.getCalibrationFrontYaw();
+        [this.primaryGlove, ...this.secondaryGloves].forEach(glove => {
+            const interpreter = glove.motionInterpreter;
+            if (!glove.isConnected() || !interpreter.isCalibrated || !interpreter.pyr0 || typeof interpreter.pyr0.yaw !== 'number') return;
+            this.calibrationStore.save(glove.getControllerId(), {
+                hand: glove.hand,
+                yaw: interpreter.pyr0.yaw,
+                pitch: interpreter.pyr0.pitch,
+                gain: { ...interpreter.pyrGain },
+                frontYaw,
+                gloveYaw: this.unwrapAngleDeg(interpreter.pyr0.yaw + frontYaw),
+                idlePose: glove.idlePose
+            });
+        });
+    }
+
+    /**
+     * 2台目のグローブのキャリブレーション（主グローブの基準や表示には影響しない）
+     */
+    calibrateSecondaryGlove(glove, yawDeg) {
+        if (typeof yawDeg !== 'number') return;
+        const calibrationYaw = this.getCalibrationYaw(yawDeg);
+        glove.motionInterpreter.calibrate(undefined, calibrationYaw, undefined);
+    }
+
+    clearSecondaryGloveCalibration() {
+        this.secondaryGloves.forEach(glove => {
+            glove.motionInterpreter.clearCalibration();
+        });
+    }
+
     completeCalibrationTransition(force = false) {
         if (this.isCalibrationCompleting && !force) return;
         this.isCalibrationCompleting = true;
 
+        // 斬撃で校正されなかった2台目のグローブは、現在向いている方向を正面とする
+        this.secondaryGloves.forEach(glove => {
+            if (glove.isConnected() && !glove.motionInterpreter.isCalibrated && glove.latestFrame) {
+                this.calibrateSecondaryGlove(glove, glove.latestFrame.yaw_deg);
+            }
+        });
+        // 前回の校正を使ったときは、保存時の構えを照合の基準として残す
+        if (this.calibrationSource !== 'previous') {
+            this.saveCalibrations();
+        }
+
         this.uiManager.playScreenTransition(() => {
             this.appState.calibrationComplete();
             this.uiManager.showTutorialSequence(() => {
@@ -425,6 +803,7 @@ class AROnmyoujiGame {
 
         // スタートボタンを隠す
         this.uiManager.toggleSceneStartButton(false);
+        this.warnIfControllerBatteryLow();
 
         try {
             // unlock first to ensure user gesture grants playback
@@ -603,20 +982,193 @@ class AROnmyoujiGame {
         }
     }
 
-    async connectBLE() {
+    /**
+     * 仮想コントローラ接続中のみ、キーで動作を再生する
+     * 1-9: SIMULATOR_KEY_BINDINGS の動作（Shift 併用で強打） 0: ノイズ/欠落注入の切替 B: 押下中はボタン
+     * キーの長押しによる自動リピートは無視する（同じ動作を積み続けないため）
+     */
+    onSimulatorKeyDown(event) {
+        if (!this.controller || this.controller.transportType !== 'simulator') return;
+        if (event.target && /INPUT|SELECT|TEXTAREA/.test(event.target.tagName)) return;
+        if (event.repeat) return;
+
+        const binding = SIMULATOR_KEY_BINDINGS[event.code];
+        if (binding) {
+            this.controller.playMotion(binding.type, { ...binding, intensity: event.shiftKey ? 1.0 : 0.6 });
+            return;
+        }
+
+        if (event.code === 'Digit0') {
+            const noisy = this.controller.noise.dropRate > 0;
+            this.controller.setNoise(noisy
+                ? { accelSigma: 0, angleSigma: 0, dropRate: 0 }
+                : { accelSigma: 0.04, angleSigma: 0.8, dropRate: 0.1 });
+        }
+
+        // B キーを押している間はグローブのボタン押下
+        if (event.code === 'KeyB') {
+            this.controller.setFlag('BUTTON', true);
+        }
+    }
+
+    onSimulatorKeyUp(event) {
+        if (!this.controller || this.controller.transportType !== 'simulator') return;
+        if (event.code === 'KeyB') {
+            this.controller.setFlag('BUTTON', false);
+        }
+    }
+
+    /**
+     * コントローラ通信手段を生成
+     * @param {string} type - 'ble' | 'serial' | 'websocket' | 'simulator'
+     * @param {Object} options - { bridgeUrl }（websocket のみ）
+     */
+    createControllerTransport(type, options = {}) {
+        switch (type) {
+            case 'simulator':
+                return new SimulatedControllerAdapter();
+            case 'serial':
+                return new SerialControllerAdapter();
+            case 'websocket':
+                return new WebSocketControllerAdapter(options.bridgeUrl);
+            case 'ble':
+            default:
+                return new BleControllerAdapter();
+        }
+    }
+
+    /**
+     * コントローラ通信手段を差し替え、コールバックを接続する
+     */
+    attachController(transport) {
+        if (this.controller && this.controller !== transport) {
+            this.detachTransport(this.controller);
+        }
+
+        this.controller = transport;
+        this.primaryGlove.attach(transport);
+        this.controller.setOnDataCallback((data) => this.onBLEData(data));
+        this.controller.setOnRawDataCallback((data, timestamp) => this.sessionRecorder.recordPayload(data, timestamp));
+        this.controller.setOnDisconnectCallback(() => this.onBLEDisconnect());
+        this.controller.setOnDeviceInfoCallback((info) => this.onControllerDeviceInfo(info));
+        this.controller.setReconnectCallbacks({
+            onReconnecting: (info) => this.onBLEReconnecting(info),
+            onReconnected: () => this.onBLEReconnected(),
+            onReconnectFailed: () => this.onBLEReconnectFailed()
+        });
+        this.controller.setPerformanceMode(this.performanceMode || 'normal');
+        this.onControllerDeviceInfo(this.controller.getDeviceInfo());
+    }
+
+    detachTransport(transport) {
+        try { transport.disconnect(); } catch (e) { }
+        transport.setOnDataCallback(null);
+        transport.setOnRawDataCallback(null);
+        transport.setOnDisconnectCallback(null);
+        transport.setOnDeviceInfoCallback(null);
+        transport.setReconnectCallbacks({});
+    }
+
+    /**
+     * 2台目（左手）のグローブを接続する。通信手段は接続画面の LINK 選択に従う
+     * 切断されてもゲームは止めず、左手の入力が無くなるだけにする
+     */
+    async connectSecondaryGlove() {
+        const glove = this.gloves.left;
+        this.uiManager.updateSecondaryGloveStatus('接続中...');
+
+        try {
+            const selection = this.uiManager.getControllerTransportSelection();
+            const transport = this.createControllerTransport(selection.type, selection);
+            if (transport.transportType === 'ble') transport.shouldRememberDevice = false;
+
+            if (glove.transport) this.detachTransport(glove.transport);
+            glove.attach(transport);
+            transport.setOnDataCallback((data) => this.onGloveData(glove, data));
+            transport.setOnDisconnectCallback(() => this.onSecondaryGloveDisconnect(glove));
+            transport.setPerformanceMode(this.performanceMode || 'normal');
+
+            await transport.connect();
+            this.uiManager.updateSecondaryGloveStatus('接続成功');
+        } catch (error) {
+            this.uiManager.updateSecondaryGloveStatus('未接続');
+            this.uiManager.showBLEError(error.message);
+        }
+    }
+
+    onSecondaryGloveDisconnect(glove) {
+        glove.hapticScheduler.clear();
+        glove.motionInterpreter.reset();
+        this.uiManager.updateSecondaryGloveStatus('未接続');
+        if (this.isRunning) {
+            this.uiManager.showControllerWarning('LEFT GLOVE', '左手グローブの接続が切れました');
+        }
+    }
+
+    onControllerDeviceInfo(info) {
+        this.uiManager.updateControllerDeviceInfo(info, LOW_BATTERY_THRESHOLD);
+    }
+
+    /**
+     * ラウンド開始前のバッテリー確認（警告のみで開始は止めない）
+     */
+    warnIfControllerBatteryLow() {
+        const level = this.controller ? this.controller.getDeviceInfo().batteryLevel : null;
+        if (typeof level === 'number' && level <= LOW_BATTERY_THRESHOLD) {
+            this.uiManager.showControllerWarning('LOW BATTERY', `コントローラの残量が少なくなっています（${level}%）`);
+        }
+    }
+
+    async connectController() {
         this.uiManager.updateBLEStatus('接続中...');
 
         try {
-            await this.bleAdapter.connect();
-            this.uiManager.updateBLEStatus('接続成功');
-            this.uiManager.playScreenTransition(() => {
-                this.appState.bleConnected();
-            });
+            const selection = this.uiManager.getControllerTransportSelection();
+            if (selection.type !== this.controller.transportType) {
+                this.attachController(this.createControllerTransport(selection.type, selection));
+            } else if (selection.type === 'websocket') {
+                this.controller.setUrl(selection.bridgeUrl);
+            }
+            await this.controller.connect();
+            this.onControllerConnected();
         } catch (error) {
             this.uiManager.showBLEError(error.message);
         }
     }
 
+    /**
+     * 前回のグローブへ再接続（見つからなければ通常の BLE CONNECT を促す）
+     */
+    async connectRememberedController() {
+        this.uiManager.updateBLEStatus('接続中...');
+
+        try {
+            if (this.controller.transportType !== 'ble') {
+                this.attachController(new BleControllerAdapter());
+            }
+            if (await this.controller.connectRemembered()) {
+                this.onControllerConnected();
+            } else {
+                this.uiManager.updateBLEStatus('未接続', '前回のグローブが見つかりません');
+            }
+        } catch (error) {
+            this.uiManager.showBLEError(error.message);
+        }
+        this.refreshRememberedController();
+    }
+
+    refreshRememberedController() {
+        const remembered = BleControllerAdapter.getRememberedDevice();
+        this.uiManager.showRememberedController(remembered ? remembered.name : null);
+    }
+
+    onControllerConnected() {
+        this.uiManager.updateBLEStatus('接続成功');
+        this.uiManager.playScreenTransition(() => {
+            this.appState.bleConnected();
+        });
+    }
+
     /**
      * ゲームプレイ開始
      */
@@ -627,7 +1179,7 @@ class AROnmyoujiGame {
         this.uiManager.toggleSceneStartButton(false);
 
         // Reset motion interpreter (safety check to ensure no carry-over stiffness)
-        if (this.motionInterpreter) this.motionInterpreter.reset();
+        this.resetMotionInterpreter();
 
         // Ensure audio context is initialized and SFX loading started
         try {
@@ -651,15 +1203,20 @@ class AROnmyoujiGame {
         }
 
         this.gameWorld.startGame();
+        this.slashDirectionCounts = {};
         this.isRunning = true;
         this.lastUpdateTime = performance.now();
         this.lastHudUpdateTime = 0;
         this.lastIndicatorUpdateTime = 0;
         this.lastRenderTime = 0;
         this.lastSimulationTime = 0;
-        this.lastMotionProcessTime = 0;
+        Object.values(this.gloves).forEach(glove => {
+            glove.lastMotionProcessTime = 0;
+        });
         this.processedSensorTimestamps = [];
         this.skippedMotionFrames = 0;
+        this.isPausedForReconnect = false;
+        this.isAwaitingResumeFrame = false;
         this.gameplayStartedAt = performance.now();
         this.frameAverageMs = 1000 / 60;
         this.longFrameCount = 0;
@@ -671,33 +1228,69 @@ class AROnmyoujiGame {
      * BLEデータ受信
      */
     onBLEData(data) {
-        const frame = this.parser.parseFrame(data);
-        if (!frame) return;
+        const frames = this.primaryGlove.parse(data);
+        if (frames.length === 0) {
+            this.sessionRecorder.annotateLastPayload({ processed: false });
+            return;
+        }
 
-        this.latestFrame = frame;
-        this.updatePerformanceModeFromBle(frame.timestamp);
+        const lastFrame = frames[frames.length - 1];
+        this.updatePerformanceModeFromBle(lastFrame.timestamp);
 
-        if (this.shouldProcessMotionFrame(frame.timestamp)) {
-            this.motionInterpreter.update(frame);
-            this.recordProcessedSensorFrame(frame.timestamp);
-        } else {
-            this.skippedMotionFrames++;
+        // 再接続後、最初のフレームが届いたらカウントダウンして再開
+        if (this.isAwaitingResumeFrame) {
+            this.isAwaitingResumeFrame = false;
+            this.resumeAfterReconnect();
         }
 
+        // 閾値調整中は間引かずに全サンプルを調整セッションへ渡し、検出器には通さない
+        if (this.gestureTuning.isActive) {
+            this.sessionRecorder.annotateLastPayload({ frameTimestamp: lastFrame.timestamp, processed: false });
+            frames.forEach(frame => this.gestureTuning.addFrame(frame));
+            return;
+        }
+
+        // バッチ通知はサンプルごとに間引き判定する（記録にはサンプルごとの結果を残す）
+        const processed = frames.map(frame => this.shouldProcessMotionFrame(frame.timestamp));
+        this.sessionRecorder.annotateLastPayload({
+            frameTimestamp: lastFrame.timestamp,
+            processed: frames.length === 1 ? processed[0] : processed
+        });
+        frames.forEach((frame, i) => {
+            if (processed[i]) {
+                this.motionInterpreter.update(frame);
+                this.recordProcessedSensorFrame(frame.timestamp);
+            } else {
+                this.skippedMotionFrames++;
+            }
+        });
+
+    }
+
+    /**
+     * 2台目のグローブのデータ受信（記録・一時停止の判定は主グローブ側で行う）
+     */
+    onGloveData(glove, data) {
+        glove.parse(data).forEach(frame => {
+            if (this.shouldProcessMotionFrame(frame.timestamp, glove)) {
+                glove.motionInterpreter.update(frame);
+            }
+        });
     }
 
-    shouldProcessMotionFrame(now) {
+    shouldProcessMotionFrame(now, glove = this.primaryGlove) {
         const isCalibrating = this.appState.getCurrentState() === 'calibrate';
         const isGameplay = this.appState.isGameplay();
         if (!isCalibrating && !isGameplay) return false;
+        if (this.isPausedForReconnect) return false;
 
         const intervals = this.isMobileDevice ? BLE_PROCESS_CONFIG.MOBILE_MOTION_INTERVAL_MS : BLE_PROCESS_CONFIG.MOTION_INTERVAL_MS;
         const modeInterval = intervals[this.performanceMode] || intervals.normal;
         const interval = isCalibrating
             ? Math.max(BLE_PROCESS_CONFIG.CALIBRATION_INTERVAL_MS, modeInterval)
             : modeInterval;
-        if (now - this.lastMotionProcessTime < interval) return false;
-        this.lastMotionProcessTime = now;
+        if (now - glove.lastMotionProcessTime < interval) return false;
+        glove.lastMotionProcessTime = now;
         return true;
     }
 
@@ -715,8 +1308,8 @@ class AROnmyoujiGame {
     }
 
     updatePerformanceModeFromBle(now) {
-        const adapterStats = this.bleAdapter && typeof this.bleAdapter.getStats === 'function'
-            ? this.bleAdapter.getStats()
+        const adapterStats = this.controller && typeof this.controller.getStats === 'function'
+            ? this.controller.getStats()
             : null;
         const receiveHz = adapterStats ? adapterStats.rawReceiveHz : this.parser.getReceiveHz();
         if (receiveHz >= BLE_PROCESS_CONFIG.HIGH_RECEIVE_HZ_WARM && this.performanceMode === 'normal') {
@@ -728,6 +1321,195 @@ class AROnmyoujiGame {
      * BLE切断
      */
     onBLEDisconnect() {
+        if (!this.isRunning || !this.appState.isGameplay()) return;
+        if (this.isPausedForReconnect) return;
+
+        this.isPausedForReconnect = true;
+        this.isAwaitingResumeFrame = false;
+        this.hapticScheduler.clear();
+        this.renderer.endSwingTracer();
+        this.uiManager.showReconnectOverlay();
+    }
+
+    onBLEReconnecting(info) {
+        if (!this.isPausedForReconnect) return;
+        this.uiManager.updateReconnectOverlay(info.attempt, info.maxAttempts);
+    }
+
+    onBLEReconnected() {
+        if (!this.isPausedForReconnect) return;
+        this.isAwaitingResumeFrame = true;
+        this.uiManager.updateReconnectOverlay(null, null, '信号待機中');
+    }
+
+    onBLEReconnectFailed() {
+        if (!this.isPausedForReconnect) return;
+        this.isPausedForReconnect = false;
+        this.isAwaitingResumeFrame = false;
+        this.uiManager.hideReconnectOverlay();
+        this.uiManager.showBLEError('コントローラに再接続できませんでした');
+        this.onReturnToTitle();
+    }
+
+    /**
+     * 再接続後のカウントダウン → ゲーム再開
+     */
+    resumeAfterReconnect() {
+        this.uiManager.showReconnectResumeCountdown(3, () => {
+            if (!this.isPausedForReconnect) return;
+            this.isPausedForReconnect = false;
+            this.resetMotionInterpreter();
+            this.lastSimulationTime = performance.now();
+            this.uiManager.hideReconnectOverlay();
+        });
+    }
+
+    resetMotionInterpreter() {
+        Object.values(this.gloves).forEach(glove => glove.motionInterpreter.reset());
+        this.twoHandGestures.reset();
+        this.recordSessionEvent('motionReset');
+    }
+
+    /**
+     * 平滑化段の設定を全グローブに反映する（デバッグHUDで遅延と安定性を調整）
+     * @param {Object} config - MotionFilterStage.setConfig と同じ形
+     */
+    setMotionFilterConfig(config) {
+        Object.values(this.gloves).forEach(glove => glove.filterStage.setConfig(config));
+        this.recordSessionEvent('motionFilter', this.primaryGlove.filterStage.getConfig());
+    }
+
+    /**
+     * 平滑化は閾値を生の値で調整した検出器の判定を変えないよう既定 OFF。ラベルでもそれを示す
+     */
+    getMotionFilterControls() {
+        const current = () => this.primaryGlove.filterStage.getConfig();
+        return [
+            {
+                label: 'ori 1€ (既定OFF)',
+                type: 'toggle',
+                get: () => current().orientation.enabled,
+                set: (enabled) => this.setMotionFilterConfig({ orientation: { enabled } })
+            },
+            {
+                label: 'minCutoff',
+                type: 'range',
+                min: 0.1,
+                max: 5,
+                step: 0.1,
+                get: () => current().orientation.minCutoff,
+                set: (minCutoff) => this.setMotionFilterConfig({ orientation: { minCutoff } })
+            },
+            {
+                label: 'beta',
+                type: 'range',
+                min: 0,
+                max: 0.2,
+                step: 0.005,
+                get: () => current().orientation.beta,
+                set: (beta) => this.setMotionFilterConfig({ orientation: { beta } })
+            },
+            {
+                label: 'acc LPF (既定OFF)',
+                type: 'toggle',
+                get: () => current().acceleration.enabled,
+                set: (enabled) => this.setMotionFilterConfig({ acceleration: { enabled } })
+            },
+            {
+                label: 'acc Hz',
+                type: 'range',
+                min: 2,
+                max: 40,
+                step: 1,
+                get: () => current().acceleration.cutoffHz,
+                set: (cutoffHz) => this.setMotionFilterConfig({ acceleration: { cutoffHz } })
+            }
+        ];
+    }
+
+    clearMotionCalibration() {
+        this.motionInterpreter.clearCalibration();
+        this.recordSessionEvent('calibrationCleared');
+    }
+
+    // --- Sensor session recording / replay ---
+
+    recordSessionEvent(type, data) {
+        if (this.sessionRecorder) this.sessionRecorder.recordEvent(type, data);
+    }
+
+    startSessionRecording() {
+        this.sessionRecorder.start({
+            transportType: this.controller ? this.controller.transportType : null,
+            appState: this.appState.getCurrentState()
+        });
+        // 記録開始時点の解析状態を再生側でも再現できるように残す
+        this.resetMotionInterpreter();
+        this.primaryGlove.parser.resetStreamState();
+        this.primaryGlove.filterStage.reset();
+        this.recordSessionEvent('motionFilter', this.primaryGlove.filterStage.getConfig());
+        this.recordSessionEvent('gestureProfile', { profile: this.motionInterpreter.gestureProfile });
+        if (this.motionInterpreter.isCalibrated) {
+            this.recordSessionEvent('calibrate', { ...this.motionInterpreter.pyr0, gain: { ...this.motionInterpreter.pyrGain } });
+        } else {
+            this.recordSessionEvent('calibrationCleared');
+        }
+        this.recordedViewYaw = this.viewYaw;
+        this.recordSessionEvent('viewYaw', { yaw: this.viewYaw });
+    }
+
+    /**
+     * 記録を停止してJSONをダウンロード
+     */
+    stopSessionRecording({ download = true } = {}) {
+        const recording = this.sessionRecorder.stop();
+        if (download && recording.entries.length > 0) {
+            this.sessionRecorder.download();
+        }
+        return recording;
+    }
+
+    toggleSessionRecording() {
+        if (this.sessionRecorder.isRecording) {
+            this.stopSessionRecording();
+        } else {
+            this.startSessionRecording();
+        }
+        return this.sessionRecorder.isRecording;
+    }
+
+    /**
+     * 記録（File / JSON / オブジェクト）をライブとは独立したパイプラインで再生
+     * @param {File|Object|string} source
+     * @param {Object} options - { speed: 等速=1, Infinity で即時 }
+     */
+    async replaySession(source, options = {}) {
+        const player = new SensorSessionPlayer();
+        player.sealTemplates = this.motionInterpreter.sealRecognizer.getDefinitions();
+        player.comboDefinitions = this.motionInterpreter.comboRecognizer.getDefinitions();
+        if (typeof File !== 'undefined' && source instanceof File) {
+            await player.loadFile(source);
+        } else {
+            player.load(source);
+        }
+        return options.speed === Infinity ? player.runAll() : player.play(options);
+    }
+
+    /**
+     * 各グローブのヨーずれ補正に視線方向を渡す（null で補正を止める）
+     */
+    updateViewYaw(yaw) {
+        this.viewYaw = typeof yaw === 'number' ? yaw : null;
+        Object.values(this.gloves).forEach(glove => glove.motionInterpreter.setViewYaw(this.viewYaw));
+
+        const last = this.recordedViewYaw;
+        const changed = this.viewYaw === null || last === null
+            ? this.viewYaw !== last
+            : Math.abs(this.unwrapAngleDeg(this.viewYaw - last)) >= 1;
+        if (changed) {
+            this.recordedViewYaw = this.viewYaw;
+            this.recordSessionEvent('viewYaw', { yaw: this.viewYaw });
+        }
     }
 
     unwrapAngleDeg(angle) {
@@ -741,7 +1523,8 @@ class AROnmyoujiGame {
     }
 
     onSwing(swing) {
-        this.renderer.endSwingTracer();
+        const isPrimary = swing.hand === this.primaryGlove.hand;
+        if (isPrimary) this.renderer.endSwingTracer();
         // 攻撃（スイング）音を再生
         try {
             const rate = Math.min(1.6, 0.9 + swing.intensity * 0.25);
@@ -753,6 +1536,13 @@ class AROnmyoujiGame {
             return;
         }
 
+        if (this.appState.isGameplay()) {
+            this.twoHandGestures.addSwing(swing);
+            if (swing.stroke) {
+                this.slashDirectionCounts[swing.stroke.direction] = (this.slashDirectionCounts[swing.stroke.direction] || 0) + 1;
+            }
+        }
+
         if (swing.trajectory && swing.trajectory.length >= 2) {
             const startPyr = swing.trajectory[0];
             const endPyr = swing.trajectory[swing.trajectory.length - 1];
@@ -764,22 +1554,46 @@ class AROnmyoujiGame {
         if (!swing.trajectory || swing.trajectory.length < 2 || this.isCalibrationCompleting) return;
 
         const averageYaw = this.averageCalibrationSwingYaw(swing.trajectory);
-        this.lockCalibrationYaw(averageYaw, 'swing average');
+        let yawBase;
+        if (swing.hand && swing.hand !== this.primaryGlove.hand) {
+            // 2台目のグローブは自分の基準だけを決める（多点のときは表示中の的の方向を差し引く）
+            const target = this.getShownCalibrationTarget();
+            const targetYaw = this.unwrapAngleDeg(averageYaw - (target ? target.azim : 0));
+            this.calibrateSecondaryGlove(this.gloves[swing.hand], targetYaw);
+            yawBase = this.getCalibrationYaw(targetYaw);
+        } else if (this.multiPointCalibration.isActive()) {
+            // 的を斬った直後（次の的が出るまで）の斬撃はサンプルにしない
+            if (!this.calibrationTargetTimer) this.recordCalibrationPoint(swing.trajectory, averageYaw);
+            yawBase = this.calibrationLockedYaw;
+        } else {
+            this.lockCalibrationYaw(averageYaw, 'swing average');
+            yawBase = this.calibrationLockedYaw;
+        }
 
-        const correctedTrajectory = this.applyLockedCalibrationYawToTrajectory(swing.trajectory);
+        const correctedTrajectory = this.applyLockedCalibrationYawToTrajectory(swing.trajectory, yawBase);
         const startPyr = correctedTrajectory[0];
         const endPyr = correctedTrajectory[correctedTrajectory.length - 1];
         this.renderer.addCalibrationSlashProjectile(startPyr, endPyr, swing.intensity);
     }
 
-    applyLockedCalibrationYawToTrajectory(trajectory) {
-        const yawBase = typeof this.calibrationLockedYaw === 'number' ? this.calibrationLockedYaw : 0;
+    applyLockedCalibrationYawToTrajectory(trajectory, lockedYaw = this.calibrationLockedYaw) {
+        const yawBase = typeof lockedYaw === 'number' ? lockedYaw : 0;
         return trajectory.map(point => ({
             ...point,
             yaw: this.unwrapAngleDeg((typeof point.rawYaw === 'number' ? point.rawYaw : point.yaw) - yawBase)
         }));
     }
 
+    averageCalibrationSwingPitch(trajectory) {
+        const pitches = trajectory
+            .map(point => (typeof point.rawPitch === 'number' ? point.rawPitch : point.pitch))
+            .filter(value => typeof value === 'number');
+        if (!pitches.length) {
+            return this.latestFrame ? this.latestFrame.pitch_deg : 0;
+        }
+        return pitches.reduce((sum, value) => sum + value, 0) / pitches.length;
+    }
+
     averageCalibrationSwingYaw(trajectory) {
         const yaws = trajectory
             .map(point => (typeof point.rawYaw === 'number' ? point.rawYaw : point.yaw))
@@ -806,6 +1620,8 @@ class AROnmyoujiGame {
     onCalibrationTargetHit(data) {
         if (this.appState.getCurrentState() !== this.appState.states.S3_CALIBRATE) return;
         if (this.isCalibrationCompleting) return;
+        // 多点キャリブレーションは斬撃ごとに的を進める（命中判定は使わない）
+        if (this.multiPointCalibration.isActive()) return;
 
         this.isCalibrationCompleting = true;
         try { this.soundManager.play('polygon_burst', { volume: 0.9 }); } catch (e) { }
@@ -834,7 +1650,7 @@ class AROnmyoujiGame {
         const existingEnemy = this.gameWorld.getEnemies().find(e => e.id === enemy.id);
         if (!existingEnemy) return;
 
-        const damage = this.motionInterpreter.isPowerMode ? this.combatSystem.powerDamage : this.combatSystem.normalDamage;
+        const damage = this.combatSystem.getSlashDamage(now);
         const killed = this.gameWorld.damageEnemy(enemy.id, damage);
 
         this.lastEnemyHitTime.set(enemy.id, now);
@@ -850,9 +1666,39 @@ class AROnmyoujiGame {
         this.updateHUD(undefined, { forceHud: true, forceIndicators: true }); // HUD更新
     }
 
+    /**
+     * 突き: 狙った向きへ斬撃弾を飛ばす（キャリブレーションの斬撃にはならない）
+     */
+    onThrust(thrust) {
+        if (thrust.hand === this.primaryGlove.hand) this.renderer.endSwingTracer();
+        if (!this.appState.isGameplay()) return;
+
+        try {
+            this.soundManager.play('attack_swipe', { volume: 0.8, playbackRate: 1.3 + thrust.intensity * 0.3 });
+        } catch (e) { }
+        this.renderer.addThrustProjectile(thrust, thrust.intensity);
+    }
+
+    /**
+     * 印（五芒星・九字など）の成立。描いた手に触覚で知らせる
+     */
+    onSeal(seal) {
+        if (!this.appState.isGameplay()) return;
+        this.combatSystem.sendSealHaptic(seal.hand);
+    }
+
+    /**
+     * コンボの成立（強化モードは MotionInterpreter が 'power_mode' コンボで発動する）
+     */
+    onCombo(combo) {
+        if (!this.appState.isGameplay()) return;
+        if (combo.name === this.motionInterpreter.POWER_MODE_COMBO) return;
+        try { this.soundManager.play('attack_swipe', { volume: 0.6, playbackRate: 0.8 }); } catch (e) { }
+    }
+
     onCircle(circle) {
         if (!this.appState.isGameplay()) return;
-        this.renderer.endSwingTracer();
+        if (circle.hand === this.primaryGlove.hand) this.renderer.endSwingTracer();
         const freezeDurationMs = 3000;
         const result = this.gameWorld.freezeEnemies(freezeDurationMs);
 
@@ -863,10 +1709,18 @@ class AROnmyoujiGame {
         }
         this.renderer.triggerFreezeDomainEffect();
         this.uiManager.triggerCircleFreezeEffect(freezeDurationMs);
-        this.combatSystem.sendCircleFreezeHaptic(result.affected);
+        this.combatSystem.sendCircleFreezeHaptic(result.affected, circle.hand);
         this.updateHUD(undefined, { forceHud: true, forceIndicators: true });
     }
 
+    /**
+     * 左右の斬撃がほぼ同時に出た（両手同時斬り）
+     */
+    onTwoHandSlash(pair) {
+        if (!this.appState.isGameplay() || this.isPausedForReconnect) return;
+        this.combatSystem.handleTwoHandSlash(pair);
+    }
+
     onPowerMode(power) {
         if (!this.appState.isGameplay()) return;
     }
@@ -900,12 +1754,13 @@ class AROnmyoujiGame {
 
     onGameOver(data) {
         this.isRunning = false;
+        this.updateViewYaw(null);
         // 1. TV Turn Off
         this.uiManager.playTvTurnOffAnimation(() => {
             // 2. Screen Transition (Glitch/Noise)
             this.uiManager.playScreenTransition(() => {
                 // 3. Show Result
-                this.uiManager.showResult('ゲームオーバー', data.killCount, this.gameWorld.gameTime / 1000);
+                this.uiManager.showResult('ゲームオーバー', data.killCount, this.gameWorld.gameTime / 1000, this.slashDirectionCounts);
                 this.appState.endGame();
             });
         });
@@ -913,6 +1768,7 @@ class AROnmyoujiGame {
 
     onGameClear(data) {
         this.isRunning = false;
+        this.updateViewYaw(null);
 
         // 0. 一旦敵を全て消す（ビジュアルと内部リストの両方）
         try {
@@ -933,7 +1789,7 @@ class AROnmyoujiGame {
                         // 4. Screen Transition (Glitch/Noise)
                         this.uiManager.playScreenTransition(() => {
                             // 5. Show Result
-                            this.uiManager.showResult('クリア！', data.killCount, data.time / 1000);
+                            this.uiManager.showResult('クリア！', data.killCount, data.time / 1000, this.slashDirectionCounts);
                             this.appState.endGame();
                         });
                     });
@@ -942,12 +1798,16 @@ class AROnmyoujiGame {
         }, 500);
     }
 
-    async onHapticEvent(event) {
-        if (event.data.pulses) {
-            await this.bleAdapter.sendHapticPulses(event.data.pulses, event.data.interval);
-        } else {
-            await this.bleAdapter.sendHapticCommand(event.data.strength, event.data.duration);
+    onHapticEvent(event) {
+        // 優先度・集約・レート制限はグローブごとの HapticScheduler に任せる
+        const hand = event.hand || 'both';
+        if (hand === 'both') {
+            Object.values(this.gloves).forEach(glove => glove.hapticScheduler.enqueue(event));
+            return;
         }
+
+        const glove = this.gloves[hand];
+        (glove && glove.isConnected() ? glove : this.primaryGlove).hapticScheduler.enqueue(event);
     }
 
     onReturnToTitle() {
@@ -957,9 +1817,10 @@ class AROnmyoujiGame {
         try {
             // Stop the loop
             this.isRunning = false;
+            this.updateViewYaw(null);
 
             // Reset motion interpreter state (clears trails, active swings, gestures)
-            if (this.motionInterpreter) this.motionInterpreter.reset();
+            this.resetMotionInterpreter();
 
             // Ensure TV effects persist on title
             try {
@@ -1024,7 +1885,10 @@ class AROnmyoujiGame {
         const shouldUpdateSimulation = !this.lastSimulationTime || now - this.lastSimulationTime >= modeConfig.updateFrameMs;
         const enemies = this.gameWorld.getEnemies();
         let viewDir = this.renderer.getViewDirection();
-        if (shouldUpdateSimulation) {
+        if (this.isPausedForReconnect) {
+            // 切断中はシミュレーションを止め、再開時にΔtが跳ねないよう基準時刻だけ進める
+            this.lastSimulationTime = now;
+        } else if (shouldUpdateSimulation) {
             const simulationDelta = Math.min(this.lastSimulationTime ? now - this.lastSimulationTime : actualDelta, 100);
             this.lastSimulationTime = now;
             this.gameWorld.update(simulationDelta);
@@ -1033,6 +1897,8 @@ class AROnmyoujiGame {
             this.updateHUD(viewDir);
         }
 
+        this.updateViewYaw(this.isPausedForReconnect ? null : this.renderer.getCameraHorizontalYawDegrees());
+
         if (this.shouldRenderFrame(now)) {
             this.renderer.updateEnemies(enemies);
             this.renderer.render(Math.min(now - this.lastRenderTime || actualDelta, 100), enemies);
@@ -1079,9 +1945,11 @@ class AROnmyoujiGame {
         if (this.gameWorld && typeof this.gameWorld.setPerformanceMode === 'function') {
             this.gameWorld.setPerformanceMode(mode);
         }
-        if (this.bleAdapter && typeof this.bleAdapter.setPerformanceMode === 'function') {
-            this.bleAdapter.setPerformanceMode(mode);
-        }
+        Object.values(this.gloves).forEach(glove => {
+            if (glove.transport && typeof glove.transport.setPerformanceMode === 'function') {
+                glove.transport.setPerformanceMode(mode);
+            }
+        });
     }
 
     shouldRenderFrame(now) {
@@ -1098,18 +1966,22 @@ class AROnmyoujiGame {
 
     onReconnect() {
         this.uiManager.hideTitleScreen2(); // Ensure Title 2 is hidden
-        try { this.bleAdapter.disconnect(); } catch (e) { }
+        try { this.controller.disconnect(); } catch (e) { }
 
         // Play transition effect + SFX, then switch to BLE Connect screen
+        // 前回のグローブを覚えていれば、接続画面に切り替えてから再接続を試みる
+        // （選択ダイアログを出さないのでユーザー操作の直後でなくてよい。見つからなければ BLE CONNECT で接続）
+        const remembered = this.controller.transportType === 'ble' && BleControllerAdapter.getRememberedDevice();
         this.uiManager.playScreenTransition(() => {
             this.appState.reconnect();
+            if (remembered) this.connectRememberedController();
         });
     }
 
     onRecalibrate() {
         this.uiManager.hideTitleScreen2(); // Ensure Title 2 is hidden
         // 再キャリブレーション：既存の校正フラグをクリアしてキャリブレーション画面へ
-        try { if (this.motionInterpreter) this.motionInterpreter.isCalibrated = false; } catch (e) { }
+        this.clearMotionCalibration();
         // 画面表示用基準をクリアしてキャリブレーション画面へ
         this.calibrationDisplayBaseline = null;
 
@@ -1119,6 +1991,78 @@ class AROnmyoujiGame {
         });
     }
 
+    /**
+     * グローブのボタン長押し: キャリブレーション画面の RESET と同じ正面リセット
+     * ラウンド進行中は誤操作でゲームを中断しないよう無視する
+     */
+    onControllerButtonHold() {
+        const state = this.appState.getCurrentState();
+        const isRoundActive = this.appState.isGameplay() && this.isRunning;
+        if (state !== this.appState.states.S3_CALIBRATE && !(this.appState.isGameplay() && !isRoundActive)) return;
+        this.onResetCalibration();
+    }
+
+    onControllerStatusChanged(name, value, hand = this.primaryGlove.hand) {
+        this.recordSessionEvent('controllerFlag', { name, value, hand });
+        if (name === 'lowBattery' && value) {
+            const label = hand === this.primaryGlove.hand ? 'コントローラ' : '左手グローブ';
+            this.uiManager.showControllerWarning('LOW BATTERY', `${label}が低電圧を検出しました`);
+        }
+    }
+
+    /**
+     * デバッグHUDの表示行（仕様 §14.2）
+     */
+    getDebugRows() {
+        const fmt = (v, digits = 1) => (typeof v === 'number' ? v.toFixed(digits) : '--');
+        const transport = this.controller ? this.controller.getStats() : {};
+        const parser = this.parser.getStats();
+        const flags = this.controllerFlags.getStats();
+        const haptic = this.hapticScheduler.getStats();
+        const frame = this.latestFrame;
+        const circle = this.motionInterpreter.getCircleDebugInfo();
+        const drift = this.motionInterpreter.getYawDriftDebugInfo();
+        const seal = this.motionInterpreter.getSealDebugInfo();
+        const combo = this.motionInterpreter.getComboDebugInfo();
+        const lastStroke = this.motionInterpreter.swingDetector.lastStroke;
+        const recentlySaturated = flags.lastSaturatedAt !== null && performance.now() - flags.lastSaturatedAt < 1000;
+        const malformedCount = parser.wrongHeaderFrames + parser.wrongLengthFrames + parser.checksumFailures + parser.implausibleFrames + parser.outOfOrderFrames;
+
+        return [
+            ['link', `${transport.transportType || '--'} ${this.controller && this.controller.isConnected ? 'connected' : 'disconnected'}`],
+            ['rx Hz', `${fmt(transport.rawReceiveHz)} / cb ${fmt(transport.callbackHz)} / motion ${fmt(this.getProcessedSensorHz())}`],
+            ['drops', `${parser.droppedFrames} (${fmt(parser.dropRate, 2)}%) filled ${parser.filledFrames}`],
+            ['clock', parser.clock.offset !== null ? `offset ${fmt(parser.clock.offset)} jitter ${fmt(parser.clock.jitter)} ms${parser.clock.synced ? '' : ' (syncing)'}` : 'no device time'],
+            ['malformed', `hdr ${parser.wrongHeaderFrames} len ${parser.wrongLengthFrames} crc ${parser.checksumFailures} val ${parser.implausibleFrames} ooo ${parser.outOfOrderFrames}${parser.checksummedFrames > 0 ? ' (crc on)' : ''}`, malformedCount > 0 ? 'warn' : ''],
+            ['batch', parser.batchCount > 0 ? `${parser.batchCount} notif / ${fmt(parser.samplesPerBatch)} samples` : 'off'],
+            ['a_mag', frame ? fmt(frame.a_mag, 2) : '--'],
+            ['p/y/r', frame ? `${fmt(frame.pitch_deg)} / ${fmt(frame.yaw_deg)} / ${fmt(frame.roll_deg)}` : '--'],
+            ['gyro', frame && frame.gx_dps !== null ? `${fmt(frame.gx_dps, 0)} / ${fmt(frame.gy_dps, 0)} / ${fmt(frame.gz_dps, 0)} (${fmt(frame.gyro_mag_dps, 0)} dps)` : `-- (${frame ? frame.frameFormat : '--'})`],
+            ['ω / lin a', frame && frame.angular_speed_dps !== null ? `${fmt(frame.angular_speed_dps, 0)} dps / ${fmt(frame.lin_a_mag, 2)} g` : '--'],
+            ['swing', `${this.motionInterpreter.swingDetector.state}${lastStroke ? ` last ${lastStroke.symbol} ${fmt(lastStroke.confidence, 2)} arc ${fmt(lastStroke.arcLength, 0)}°${lastStroke.curved ? ' curved' : ''}` : ''}`],
+            ['thrust', `${this.motionInterpreter.thrustDetector.state} sweep ${fmt(this.motionInterpreter.thrustDetector.sweepDeg, 0)}° peak ${fmt(this.motionInterpreter.thrustDetector.peakAMag, 2)}g`],
+            ['thresholds', this.motionInterpreter.gestureProfile
+                ? `personal A ${fmt(this.motionInterpreter.swingDetector.A_START, 2)}g ω ${fmt(this.motionInterpreter.swingDetector.OMEGA_START, 0)} area ${fmt(this.motionInterpreter.circleRecognizer.CIRCLE_MIN_AREA, 0)}`
+                : 'default'],
+            ['yaw drift', drift.active ? `corr ${fmt(drift.correction)}° err ${fmt(drift.error)}°${drift.correcting ? ' (correcting)' : ''}` : `corr ${fmt(drift.correction)}° (off)`],
+            ['circle', circle.valid ? `close ${fmt(circle.closure)} area ${fmt(circle.area, 0)} cov ${fmt(circle.angleCoverage, 0)} ${this.motionInterpreter.circleRecognizer.isCircleMetrics(circle) ? 'OK' : 'NG'}` : '--'],
+            ['seal', seal.state === 'Drawing'
+                ? `drawing ${seal.strokes} strokes`
+                : seal.lastResult ? `${seal.lastResult.name} ${fmt(seal.lastResult.score, 2)} ${seal.lastResult.score >= seal.lastResult.minScore ? 'OK' : 'NG'}` : '--'],
+            ['combo', `${combo.tokens || '--'}${combo.lastCombo ? ` last ${combo.lastCombo.name}` : ''}`],
+            ['flags', flags.flags === null ? '--' : `0x${flags.flags.toString(16).padStart(2, '0')} BTN:${flags.button ? 1 : 0} IMU:${flags.imuCalibrated ? 'OK' : 'NG'} LBAT:${flags.lowBattery ? 1 : 0}`],
+            ['saturation', `${recentlySaturated ? 'SATURATED' : 'ok'} (${flags.saturatedFrameCount} frames)`, recentlySaturated ? 'warn' : ''],
+            ['haptic', `${haptic.activeType || 'idle'} sent ${haptic.sentPulseCount} drop ${haptic.droppedCount} preempt ${haptic.preemptedCount}`],
+            ...this.secondaryGloves.filter(glove => glove.transport).map(glove => {
+                const stats = glove.parser.getStats();
+                const latest = glove.latestFrame;
+                return [glove.hand, glove.isConnected()
+                    ? `${fmt(stats.receiveHz)}Hz drop ${stats.droppedFrames} yaw ${latest ? fmt(latest.yaw_deg) : '--'} drift ${fmt(glove.motionInterpreter.getYawDriftDebugInfo().correction)} ${glove.motionInterpreter.isCalibrated ? 'cal' : 'uncal'} swing ${glove.motionInterpreter.swingDetector.state}`
+                    : 'disconnected'];
+            })
+        ];
+    }
+
     onResetCalibration() {
         // Reset: set display baseline to current device orientation so displayed euler
         // angles become relative to device pose at reset time.
@@ -1133,7 +2077,8 @@ class AROnmyoujiGame {
         };
 
         // Ensure interpreter is not fully calibrated yet
-        try { if (this.motionInterpreter) this.motionInterpreter.isCalibrated = false; } catch (e) { }
+        this.clearMotionCalibration();
+        this.clearSecondaryGloveCalibration();
 
         // Ensure we are in calibrate screen
         this.appState.recalibrate();
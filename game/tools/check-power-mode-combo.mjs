@@ -0,0 +1,102 @@
+/**
+ * check-power-mode-combo.mjs
+ * 強化モードの 'power_mode' コンボが、置き換える前の固定ルール（MotionInterpreter.recordSwingForPowerMode）と
+ * 同じタイミングで発動するかを確かめる
+ *
+ *   node tools/check-power-mode-combo.mjs   （game/ で実行。不一致があれば終了コード 1）
+ */
+
+import { ComboRecognizer } from '../js/ComboRecognizer.js';
+
+// 置き換える前のルール: 1200ms 以内の斬撃が3回以上で平均強さ 0.5 以上なら発動し、数え直す
+class BaselinePowerMode {
+    constructor() {
+        this.recentSwings = [];
+        this.POWER_SWING_WINDOW = 1200;
+        this.POWER_MIN_INTENSITY = 0.5;
+    }
+
+    recordSwing(intensity, now) {
+        this.recentSwings = this.recentSwings.filter(s => now - s.timestamp <= this.POWER_SWING_WINDOW);
+        this.recentSwings.push({ intensity, timestamp: now });
+        if (this.recentSwings.length >= 3) {
+            const avg = this.recentSwings.reduce((sum, s) => sum + s.intensity, 0) / this.recentSwings.length;
+            if (avg >= this.POWER_MIN_INTENSITY) {
+                this.recentSwings = [];
+                return true;
+            }
+        }
+        return false;
+    }
+}
+
+const slash = (timestamp, intensity, detail = 'right') => ({ type: 'slash', detail, intensity, timestamp });
+
+const CASES = {
+    'strong x3': [slash(0, 0.8), slash(300, 0.8), slash(600, 0.8)],
+    'weak x3': [slash(0, 0.3), slash(300, 0.3), slash(600, 0.3)],
+    'too slow': [slash(0, 0.9), slash(700, 0.9), slash(1300, 0.9)],
+    'mixed directions (cross_slash also matches)': [
+        slash(0, 0.8, 'right'), slash(300, 0.8, 'down'), slash(600, 0.8, 'right'), slash(900, 0.8, 'left')
+    ],
+    'hold and circle between slashes': [
+        slash(0, 0.8), { type: 'hold', timestamp: 100 }, slash(300, 0.8),
+        { type: 'circle', timestamp: 400 }, slash(600, 0.8)
+    ],
+    'weak start averaged in (4 in window)': [slash(0, 0.3), slash(200, 0.3), slash(400, 0.3), slash(600, 0.9)],
+    'weak start drops out of window': [slash(0, 0.1), slash(900, 0.7), slash(1100, 0.7), slash(1300, 0.7)],
+    'retrigger needs 3 new slashes': [
+        slash(0, 0.9), slash(200, 0.9), slash(400, 0.9), slash(600, 0.9), slash(800, 0.9), slash(1000, 0.9)
+    ]
+};
+
+// 乱数の斬撃列（種を固定して毎回同じ列にする）
+function randomCase(seed) {
+    let state = seed;
+    const random = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+    const directions = ['right', 'left', 'up', 'down', 'up-right', 'down-left'];
+    const tokens = [];
+    let time = 0;
+    for (let i = 0; i < 60; i++) {
+        time += 50 + Math.floor(random() * 700);
+        const roll = random();
+        if (roll < 0.15) {
+            tokens.push({ type: ['hold', 'circle', 'thrust', 'seal'][Math.floor(random() * 4)], intensity: random(), timestamp: time });
+        } else {
+            tokens.push(slash(time, random(), directions[Math.floor(random() * directions.length)]));
+        }
+    }
+    return tokens;
+}
+
+for (let seed = 1; seed <= 200; seed++) {
+    CASES[`random #${seed}`] = randomCase(seed);
+}
+
+let failures = 0;
+for (const [name, tokens] of Object.entries(CASES)) {
+    const baseline = new BaselinePowerMode();
+    const recognizer = new ComboRecognizer();
+    const expected = [];
+    const actual = [];
+
+    tokens.forEach(token => {
+        if (token.type === 'slash' && baseline.recordSwing(token.intensity, token.timestamp)) {
+            expected.push(token.timestamp);
+        }
+        recognizer.addToken(token)
+            .filter(combo => combo.name === 'power_mode')
+            .forEach(combo => actual.push(combo.timestamp));
+    });
+
+    if (expected.join(',') !== actual.join(',')) {
+        failures++;
+        console.log(`NG ${name}: baseline [${expected}] combo [${actual}]`);
+    }
+}
+
+console.log(`${Object.keys(CASES).length - failures} / ${Object.keys(CASES).length} cases match`);
+process.exitCode = failures > 0 ? 1 : 0;